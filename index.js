@@ -3,11 +3,17 @@ import { Checkpointer } from "./src/checkpoint.js";
 import { DefaultReproduction } from "./src/reproduction.js";
 import { DefaultStagnation } from "./src/stagnation.js";
 import { DefaultSpeciesSet } from "./src/species.js";
-import { ReporterSet, StdOutReporter } from "./src/reporting.js";
+import { StdOutReporter } from "./src/reporting.js";
+import { Config } from "./src/config.js";
 import { DefaultGenome } from "./src/genome.js";
 import { FeedForwardNetwork } from "./src/nn.js";
 
-export function main() {
+/**
+ * Runs the XOR example.
+ * @param {Object[]} [reporters=[]] - Additional reporters to add to the population,
+ * e.g. to display the run's progress.
+ */
+export async function main(reporters = []) {
   // --- 1. Define the XOR problem data and configuration ---
 
   const xor_inputs = [
@@ -52,7 +58,7 @@ export function main() {
         "enabled_mutate_rate": 0.01,
 
         "feed_forward": true,
-        "initial_connection": "full",
+        "initial_connection": "full_nodirect",
 
         "node_add_prob": 0.2,
         "node_delete_prob": 0.2,
@@ -97,59 +103,39 @@ export function main() {
     for (const [genome_id, genome] of population.entries()) {
       genome.fitness = 4.0; // Start with max fitness and subtract error
       const net = FeedForwardNetwork.create(genome, config);
+      const outputs = net.activateBatch(xor_inputs);
 
       for (let i = 0; i < xor_inputs.length; i++) {
-        const xi = xor_inputs[i];
-        const xo = xor_outputs[i];
-        const output = net.activate(xi);
-        const error = (output[0] - xo[0]) ** 2;
+        const error = (outputs[i][0] - xor_outputs[i][0]) ** 2;
         genome.fitness -= error;
       }
     }
   }
 
   // --- 3. Main Run Function ---
-  function run() {
+  async function run() {
     // A. Create the main configuration object.
-    const raw_config = JSON.parse(config_string);
-
-    // B. Encapsulate the raw config into component-specific config objects.
-    // This uses the same pattern as our previous examples.
-    const main_config = {
-      // Main NEAT config
-      ...raw_config.NEAT,
-      // Component instances
-      genome_type: DefaultGenome,
-      genome_config: DefaultGenome.parseConfig(raw_config.DefaultGenome),
-      reproduction: new DefaultReproduction(
-        DefaultReproduction.parse_config(raw_config.DefaultReproduction),
-        new ReporterSet(),
-        null, // Stagnation will be added later
-      ),
-      species_set: new DefaultSpeciesSet(
-        DefaultSpeciesSet.parse_config(raw_config.DefaultSpeciesSet),
-        new ReporterSet(),
-      ),
-      stagnation: new DefaultStagnation(
-        DefaultStagnation.parse_config(raw_config.DefaultStagnation),
-        new ReporterSet(),
-      ),
-    };
-    // Link reporters and stagnation properly
-    main_config.reproduction.reporters = main_config.species_set.reporters;
-    main_config.stagnation.reporters = main_config.species_set.reporters;
-    main_config.reproduction.stagnation = main_config.stagnation;
-
-    // C. Create the population, which is the top-level object for a NEAT run.
+    // Config parses every section and links the reproduction, species set and
+    // stagnation instances, which share one reporter set with the population.
+    const main_config = new Config(
+      DefaultGenome,
+      DefaultReproduction,
+      DefaultSpeciesSet,
+      DefaultStagnation,
+      config_string,
+    );
+
+    // B. Create the population, which is the top-level object for a NEAT run.
     const p = new Population(main_config);
 
-    // D. Add reporters to show progress in the console.
+    // C. Add reporters to show progress in the console.
     p.add_reporter(new StdOutReporter(true));
+    for (const reporter of reporters) p.add_reporter(reporter);
     // p.add_reporter(new Checkpointer(5, null, "xor-checkpoint-")); // Checkpoint every 5 generations
 
-    // E. Run for up to 300 generations.
-    const winner = p.run(eval_genomes, 10);
-    // F. Display the winning genome and its performance.
+    // D. Run for up to 300 generations.
+    const winner = await p.run(eval_genomes, 10);
+    // E. Display the winning genome and its performance.
     console.log("\n--- Evolution Complete ---");
     console.log("Best genome:\n" + winner.toString());
 
@@ -166,5 +152,5 @@ export function main() {
   }
 
   // Start the XOR evolution run.
-  run();
+  return run();
 }
@@ -1,21 +1,200 @@
 import { main } from "./index.js";
+import { StatisticsReporter } from "./src/statistics.js";
+import { layout_genome } from "./src/visualize.js";
+
+// Records the fitness and speciation history of the run, plus the latest
+// champion and the configuration needed to draw it.
+class DashboardReporter extends StatisticsReporter {
+  constructor() {
+    super();
+    this.config = null;
+    this.champion = null;
+  }
+
+  post_evaluate(config, population, species, best_genome) {
+    super.post_evaluate(config, population, species, best_genome);
+    this.config = config;
+    this.champion = this.most_fit_genomes[this.most_fit_genomes.length - 1];
+  }
+}
+
+const dashboard = new DashboardReporter();
 
 // Define your p5.js sketch as a function that takes a p5 instance
 const s = (p) => {
+  const margin = 40;
+  // Set if the run fails, so the error is shown instead of a frozen dashboard.
+  let runError = null;
+
+  // Draws the best and mean fitness of each generation as line charts.
+  const drawFitness = (x, y, w, h) => {
+    const best = dashboard.most_fit_genomes.map((g) => g.fitness);
+    const avg = dashboard.get_fitness_mean();
+    drawPanel("Fitness (best / mean)", x, y, w, h);
+    // NaN fitness (e.g. from an unconnected output) is left out of the chart.
+    const values = [...best, ...avg].filter(Number.isFinite);
+    if (values.length === 0) return;
+
+    const lo = Math.min(...values);
+    const hi = Math.max(...values);
+    const span = hi - lo || 1;
+    const px = (i) =>
+      x + margin + (i * (w - 2 * margin)) / Math.max(best.length - 1, 1);
+    const py = (v) => y + h - margin - ((v - lo) * (h - 2 * margin)) / span;
+
+    p.noFill();
+    for (const [series, color] of [
+      [best, [200, 60, 60]],
+      [avg, [60, 60, 200]],
+    ]) {
+      p.stroke(...color);
+      p.beginShape();
+      series.forEach((v, i) => {
+        if (Number.isFinite(v)) {
+          p.vertex(px(i), py(v));
+        } else {
+          // Break the line at a missing value.
+          p.endShape();
+          p.beginShape();
+        }
+      });
+      p.endShape();
+    }
+
+    p.noStroke();
+    p.fill(0);
+    p.textAlign(p.RIGHT, p.CENTER);
+    p.text(hi.toFixed(2), x + margin - 4, py(hi));
+    p.text(lo.toFixed(2), x + margin - 4, py(lo));
+  };
+
+  // Draws the size of every species in each generation, stacked.
+  const drawSpecies = (x, y, w, h) => {
+    const sizes = dashboard.get_species_sizes();
+    drawPanel("Species sizes", x, y, w, h);
+    if (sizes.length === 0) return;
+
+    const total =
+      Math.max(...sizes.map((row) => row.reduce((a, b) => a + b, 0))) || 1;
+    const px = (i) =>
+      x + margin + (i * (w - 2 * margin)) / Math.max(sizes.length - 1, 1);
+    const py = (v) => y + h - margin - (v * (h - 2 * margin)) / total;
+
+    // Running totals below and above each species' band, per generation.
+    const below = sizes.map(() => 0);
+    p.stroke(255);
+    for (let sid = 0; sid < sizes[0].length; sid++) {
+      const above = sizes.map((row, i) => below[i] + row[sid]);
+      p.colorMode(p.HSB);
+      p.fill((sid * 47) % 360, 60, 90);
+      p.colorMode(p.RGB);
+      p.beginShape();
+      above.forEach((v, i) => p.vertex(px(i), py(v)));
+      for (let i = below.length - 1; i >= 0; i--) p.vertex(px(i), py(below[i]));
+      p.endShape(p.CLOSE);
+      above.forEach((v, i) => (below[i] = v));
+    }
+  };
+
+  // Draws the current champion network.
+  const drawChampion = (x, y, w, h) => {
+    drawPanel("Champion network", x, y, w, h);
+    if (!dashboard.champion) return;
+
+    const { nodes, connections } = layout_genome(
+      dashboard.config,
+      dashboard.champion,
+      { width: w, height: h - 20, margin },
+    );
+    const position = new Map(nodes.map((n) => [n.key, n]));
+
+    for (const cg of connections) {
+      const from = position.get(cg.key[0]);
+      const to = position.get(cg.key[1]);
+      if (!from || !to) continue;
+      p.stroke(cg.weight > 0 ? p.color(40, 160, 40) : p.color(200, 40, 40));
+      p.strokeWeight(Math.min(0.5 + Math.abs(cg.weight), 6));
+      if (cg.enabled) {
+        p.drawingContext.setLineDash([]);
+      } else {
+        p.drawingContext.setLineDash([4, 3]);
+      }
+      p.line(x + from.x, y + 20 + from.y, x + to.x, y + 20 + to.y);
+    }
+    p.drawingContext.setLineDash([]);
+    p.strokeWeight(1);
+
+    p.stroke(0);
+    p.textAlign(p.CENTER, p.CENTER);
+    const colors = { input: 200, output: [170, 210, 240], hidden: 255 };
+    for (const n of nodes) {
+      p.fill(colors[n.type]);
+      if (n.type === "input") {
+        p.rectMode(p.CENTER);
+        p.rect(x + n.x, y + 20 + n.y, 20, 20);
+      } else {
+        p.circle(x + n.x, y + 20 + n.y, 20);
+      }
+      p.noStroke();
+      p.fill(0);
+      p.text(n.key, x + n.x, y + 20 + n.y);
+      p.stroke(0);
+    }
+
+    p.noStroke();
+    p.textAlign(p.LEFT, p.TOP);
+    const g = dashboard.champion;
+    p.text(
+      `genome ${g.key}, fitness ${g.fitness.toFixed(3)}`,
+      x + 8,
+      y + h - 20,
+    );
+  };
+
+  const drawPanel = (title, x, y, w, h) => {
+    p.stroke(180);
+    p.fill(255);
+    p.rectMode(p.CORNER);
+    p.rect(x, y, w, h);
+    p.noStroke();
+    p.fill(0);
+    p.textAlign(p.LEFT, p.TOP);
+    p.text(title, x + 8, y + 8);
+  };
+
   p.setup = () => {
-    p.createCanvas(600, 400);
-    p.background(220);
+    p.createCanvas(900, 600);
 
-    main();
+    // The run is asynchronous and yields between generations, so `draw` keeps
+    // redrawing the dashboard as the reporter records each generation.
+    main([dashboard]).catch((e) => {
+      console.error(e);
+      runError = e;
+    });
   };
 
-  p.draw = () => {
-    p.fill(100, 150, 250);
-    p.ellipse(p.mouseX, p.mouseY, 50, 50);
+  const drawError = () => {
+    p.rectMode(p.CORNER);
+    p.stroke(200, 60, 60);
+    p.fill(255, 235, 235);
+    p.rect(10, p.height - 60, p.width - 20, 50);
+    p.noStroke();
+    p.fill(150, 0, 0);
+    p.textAlign(p.LEFT, p.CENTER);
+    p.text(
+      `The run failed: ${runError?.message ?? runError}`,
+      20,
+      p.height - 35,
+    );
   };
 
-  p.myCustomFunction = () => {
-    console.log("This is a custom function within the p5 instance.");
+  p.draw = () => {
+    p.background(220);
+    p.strokeWeight(1);
+    drawFitness(10, 10, 430, 285);
+    drawSpecies(10, 305, 430, 285);
+    drawChampion(450, 10, 440, 580);
+    if (runError !== null) drawError();
   };
 };
 
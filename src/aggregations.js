@@ -5,7 +5,7 @@ function productAggregation(x) {
   return Array.from(x).reduce((product, value) => product * value, 1.0);
 }
 
-function sumAggregation(x) {
+export function sumAggregation(x) {
   return sum(x);
 }
 
@@ -1,74 +1,152 @@
 /**
- * A browser-compatible implementation for saving and restoring simulation state.
- * It uses JSON for serialization and triggers file downloads/uploads.
+ * Saving and restoring simulation state as JSON. Checkpoints are saved with `write_file`
+ * (a download in the browser, a file in Node.js) and restored from uploaded files or state.
  */
+import { write_file } from "./fileUtil.js";
+import { NoveltySearch } from "./novelty.js";
 import { Population } from "./population.js";
 import { BaseReporter } from "./reporting.js";
-import { DefaultGenome } from "./genome.js";
 import { Species } from "./species.js";
+import { getstate, setstate } from "./randomUtil.js";
+import { deserialize_config, serialize_config } from "./serialization.js";
 
 /**
- * A helper function to rehydrate plain objects from JSON back into class instances.
- * This is necessary because JSON.stringify strips class information and methods.
+ * Creates a plain serializable object from the current simulation state.
+ * Checkpoints are taken at the end of a generation, after the next population has been
+ * created and speciated, so the state records that population under the number of the
+ * generation in which it will be evaluated.
+ * @param {Object} config - The main configuration object.
+ * @param {Map<any, Object>} population - The current population.
+ * @param {Object} species_set - The species set instance.
+ * @param {number} generation - The current generation number.
+ * @param {Object|null} [best_genome=null] - The best genome found so far.
+ * @returns {Object} The checkpoint state.
+ */
+export function checkpoint_state(
+  config,
+  population,
+  species_set,
+  generation,
+  best_genome = null,
+) {
+  return {
+    generation: generation + 1,
+    config: serialize_config(config),
+    rng_state: getstate(), // Lets the restored run draw the same random numbers
+    node_indexer: config.genome_config.node_indexer,
+    reproduction: {
+      genome_indexer: config.reproduction.genome_indexer,
+      innovation_indexer:
+        config.reproduction.innovation_tracker.innovation_indexer,
+      ancestors: Array.from(config.reproduction.ancestors.entries()),
+    },
+    population: Array.from(population.values()),
+    best_genome: best_genome,
+    species_set: {
+      indexer: species_set.indexer,
+      compatibility_threshold: species_set.compatibility_threshold,
+      species: Array.from(species_set.species.values()).map((s) => ({
+        key: s.key,
+        created: s.created,
+        last_improved: s.last_improved,
+        representative: s.representative,
+        members: Array.from(s.members.keys()),
+        fitness: s.fitness,
+        adjusted_fitness: s.adjusted_fitness,
+        fitness_history: s.fitness_history,
+      })),
+      genome_to_species: Array.from(species_set.genome_to_species.entries()),
+    },
+    novelty_search: config.novelty_search
+      ? config.novelty_search.toObject()
+      : null,
+  };
+}
+
+/**
+ * Rebuilds a Population from a parsed checkpoint state: the full configuration with
+ * freshly linked components, genomes with their gene class instances, the species,
+ * the genome and node indexers, the ancestry, the novelty search (if the run used one) and
+ * the random number generator state.
+ * Reporters are not part of the state and must be added to the returned Population again,
+ * as must a custom novelty search distance function (`restored.novelty_search.distance`).
  * @param {Object} state - The plain object loaded from a JSON checkpoint.
- * @param {Object} main_config - The main configuration object, needed to create new instances.
- * @returns {[Map<any, Object>, Object, number]} - The rehydrated [population, species_set, generation].
+ * @param {Object} [types={}] - Custom genome or component classes used by the run, keyed by class name.
+ * @returns {Population} A new Population instance.
  */
-function rehydrate_state(state, main_config) {
-  // 1. Rehydrate Population (Map of DefaultGenome instances)
-  const rehydrated_population = new Map();
-  for (const [_key, plain_genome] of Object.entries(state.population)) {
-    const genome = new main_config.genome_type(plain_genome.key);
-    // Copy all properties from the plain object to the new instance
-    Object.assign(genome, plain_genome);
-    rehydrated_population.set(genome.key, genome);
+export function population_from_state(state, types = {}) {
+  const config = deserialize_config(state.config, types);
+  const genome_config = config.genome_config;
+  genome_config.node_indexer = state.node_indexer;
+
+  const rehydrate_genome = (plain_genome) =>
+    config.genome_type.from_object(plain_genome, genome_config);
+
+  // 1. Rehydrate the population.
+  const population = new Map();
+  for (const plain_genome of state.population) {
+    const genome = rehydrate_genome(plain_genome);
+    population.set(genome.key, genome);
   }
 
-  // 2. Rehydrate Species Set
-  const rehydrated_species_set = new main_config.species_set_type(
-    main_config.species_set.species_set_config, // Use config from the new main_config
-    main_config.species_set.reporters,
-  );
-  Object.assign(rehydrated_species_set, state.species_set); // Copy properties like indexer
-
-  // 3. Rehydrate individual Species and their members
-  const rehydrated_species = new Map();
-  for (const [_key, plain_species] of Object.entries(
-    state.species_set.species,
-  )) {
+  // 2. Restore the reproduction bookkeeping.
+  config.reproduction.genome_indexer = state.reproduction.genome_indexer;
+  config.reproduction.ancestors = new Map(state.reproduction.ancestors);
+  config.reproduction.innovation_tracker.innovation_indexer =
+    state.reproduction.innovation_indexer;
+  genome_config.innovation_tracker = config.reproduction.innovation_tracker;
+
+  // 3. Rehydrate the species, re-linking members and representatives to the population.
+  const species_set = config.species_set;
+  species_set.indexer = state.species_set.indexer;
+  if (state.species_set.compatibility_threshold !== undefined) {
+    species_set.compatibility_threshold =
+      state.species_set.compatibility_threshold;
+  }
+  species_set.species = new Map();
+  for (const plain_species of state.species_set.species) {
     const species = new Species(plain_species.key, plain_species.created);
-    Object.assign(species, plain_species);
-
-    // Re-link member genomes from the rehydrated population
-    const rehydrated_members = new Map();
-    for (const member_key of Object.keys(plain_species.members)) {
-      rehydrated_members.set(
-        Number(member_key),
-        rehydrated_population.get(Number(member_key)),
-      );
-    }
-    species.members = rehydrated_members;
+    species.last_improved = plain_species.last_improved;
+    species.fitness = plain_species.fitness;
+    species.adjusted_fitness = plain_species.adjusted_fitness;
+    species.fitness_history = plain_species.fitness_history;
 
-    // Re-link the representative
-    if (species.representative) {
-      species.representative = rehydrated_population.get(
-        species.representative.key,
-      );
+    const members = new Map();
+    for (const gid of plain_species.members) {
+      members.set(gid, population.get(gid));
     }
+    const plain_rep = plain_species.representative;
+    const representative =
+      plain_rep === null
+        ? null
+        : (population.get(plain_rep.key) ?? rehydrate_genome(plain_rep));
+    species.update(representative, members);
 
-    rehydrated_species.set(species.key, species);
+    species_set.species.set(species.key, species);
   }
-  rehydrated_species_set.species = rehydrated_species;
+  species_set.genome_to_species = new Map(state.species_set.genome_to_species);
 
-  // 4. Rehydrate genome_to_species map
-  rehydrated_species_set.genome_to_species = new Map(
-    Object.entries(state.species_set.genome_to_species).map(([k, v]) => [
-      Number(k),
-      v,
-    ]),
-  );
+  const restored = new Population(config, [
+    population,
+    species_set,
+    state.generation,
+  ]);
+  if (state.best_genome) {
+    restored.best_genome =
+      population.get(state.best_genome.key) ??
+      rehydrate_genome(state.best_genome);
+  }
+
+  if (state.novelty_search) {
+    restored.set_novelty_search(
+      NoveltySearch.from_object(state.novelty_search),
+    );
+  }
 
-  return [rehydrated_population, rehydrated_species_set, state.generation];
+  if (state.rng_state) {
+    setstate(state.rng_state);
+  }
+  return restored;
 }
 
 export class Checkpointer extends BaseReporter {
@@ -89,6 +167,7 @@ export class Checkpointer extends BaseReporter {
     this.filename_prefix = filename_prefix;
 
     this.current_generation = null;
+    this.best_genome = null;
     this.last_generation_checkpoint = -1;
     this.last_time_checkpoint = performance.now();
   }
@@ -97,6 +176,15 @@ export class Checkpointer extends BaseReporter {
     this.current_generation = generation;
   }
 
+  post_evaluate(config, population, species, best_genome) {
+    if (
+      this.best_genome === null ||
+      best_genome.fitness > this.best_genome.fitness
+    ) {
+      this.best_genome = best_genome;
+    }
+  }
+
   end_generation(config, population, species_set) {
     let checkpoint_due = false;
 
@@ -115,56 +203,50 @@ export class Checkpointer extends BaseReporter {
     }
 
     if (checkpoint_due) {
-      this.save_checkpoint(
-        config,
-        population,
-        species_set,
-        this.current_generation,
-      );
+      // Saving is asynchronous; a failed save is reported without stopping the run.
+      Promise.resolve(
+        this.save_checkpoint(
+          config,
+          population,
+          species_set,
+          this.current_generation,
+        ),
+      ).catch((e) => console.error(`Failed to save checkpoint: ${e.message}`));
       this.last_generation_checkpoint = this.current_generation;
       this.last_time_checkpoint = performance.now();
     }
   }
 
   /**
-   * Serializes the current simulation state and triggers a file download.
+   * Serializes the current simulation state and saves it with `write_file`: as a download
+   * in the browser, or to a file in Node.js.
+   * @returns {Promise<void>}
    */
   save_checkpoint(config, population, species_set, generation) {
     const filename = `${this.filename_prefix}${generation}.json`;
     console.log(`Saving checkpoint to ${filename}`);
 
-    // Create a plain serializable object from the current state.
-    // Convert Maps to plain objects for JSON serialization.
-    const state = {
-      generation: generation,
-      config: config.raw_config, // Save the raw config, not the instances
-      population: Object.fromEntries(population),
-      species_set: {
-        indexer: species_set.indexer,
-        species: Object.fromEntries(species_set.species),
-        genome_to_species: Object.fromEntries(species_set.genome_to_species),
-      },
-    };
-
-    const json_string = JSON.stringify(state, null, 2);
-    const blob = new Blob([json_string], { type: "application/json" });
-
-    // Create a temporary link to trigger the download.
-    const a = document.createElement("a");
-    a.href = URL.createObjectURL(blob);
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(a.href);
+    const state = checkpoint_state(
+      config,
+      population,
+      species_set,
+      generation,
+      this.best_genome,
+    );
+    return write_file(
+      filename,
+      JSON.stringify(state, null, 2),
+      "application/json",
+    );
   }
 
   /**
    * Restores a simulation from a checkpoint file.
    * @param {File} file - The checkpoint file selected by the user.
+   * @param {Object} [types={}] - Custom genome or component classes used by the run, keyed by class name.
    * @returns {Promise<Population>} A promise that resolves to a new Population instance.
    */
-  static async restore_checkpoint(file) {
+  static async restore_checkpoint(file, types = {}) {
     return new Promise((resolve, reject) => {
       if (!file) {
         reject(new Error("No file provided for restore."));
@@ -175,22 +257,7 @@ export class Checkpointer extends BaseReporter {
       reader.onload = (event) => {
         try {
           const state = JSON.parse(event.target.result);
-
-          // --- Rebuild main config from the raw config in the checkpoint ---
-          // This logic should match your main setup script.
-          const raw_config = state.config;
-          const genome_config = DefaultGenome.parseConfig(raw_config);
-          // ... create other component configs and instances ...
-          const main_config = {
-            raw_config: raw_config,
-            genome_type: DefaultGenome,
-            genome_config: genome_config,
-            // ... and the rest of your main_config setup
-          };
-
-          const initial_state = rehydrate_state(state, main_config);
-          const new_population = new Population(main_config, initial_state);
-          resolve(new_population);
+          resolve(population_from_state(state, types));
         } catch (e) {
           reject(e);
         }
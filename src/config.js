@@ -1,6 +1,8 @@
 /**
  * Does general configuration parsing; used by other classes for their configuration.
  */
+import { write_file } from "./fileUtil.js";
+import { ReporterSet } from "./reporting.js";
 
 /**
  * Custom error for unknown configuration options, useful for catching typos.
@@ -12,6 +14,16 @@ export class UnknownConfigItemError extends Error {
   }
 }
 
+/**
+ * A value read from an INI file. Only these values are converted from text; values from
+ * JSON or object configurations must already have the expected type.
+ */
+class IniValue {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
 /**
  * Contains information about a single configuration item.
  */
@@ -57,7 +69,11 @@ export class ConfigParameter {
       }
     }
 
+    const from_ini = value instanceof IniValue;
+    if (from_ini) value = value.text;
+
     try {
+      if (from_ini) return this._convertIniText(value);
       switch (this.valueType) {
         case "string":
           if (typeof value !== "string") return String(value);
@@ -80,6 +96,34 @@ export class ConfigParameter {
       );
     }
   }
+
+  /**
+   * Converts the text of a value read from an INI file, as neat-python does: lists are
+   * separated by whitespace, and booleans are `True` or `False` in any case.
+   * @param {string} text
+   * @returns {*}
+   */
+  _convertIniText(text) {
+    text = text.trim();
+    switch (this.valueType) {
+      case "string":
+        return text;
+      case "number":
+        if (text === "" || isNaN(Number(text))) {
+          throw new Error("must be a number");
+        }
+        return Number(text);
+      case "boolean":
+        if (!["true", "false"].includes(text.toLowerCase())) {
+          throw new Error("must be True or False");
+        }
+        return text.toLowerCase() === "true";
+      case "array":
+        return text === "" ? [] : text.split(/\s+/);
+      default:
+        throw new Error(`Unexpected configuration type: '${this.valueType}'`);
+    }
+  }
 }
 
 /**
@@ -128,8 +172,128 @@ export class DefaultClassConfig {
   }
 }
 
+/**
+ * Parses a configuration file in the INI format of neat-python (and of Python's configparser):
+ * `[section]` headers, `key = value` (or `key: value`) items, full-line comments starting with
+ * `#` or `;`, and values continued on indented lines. Keys are lower-cased.
+ * All values are returned as strings. `Config` accepts the text of such a file directly and
+ * converts its values to the expected types, splitting lists such as
+ * `activation_options = sigmoid tanh` on whitespace.
+ * @param {string} text - The contents of the configuration file.
+ * @returns {Object<string, Object<string, string>>} The sections, by name.
+ */
+export function parseIni(text) {
+  const sections = {};
+  let section = null;
+  let key = null;
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const where = `line ${i + 1}`;
+    const stripped = line.trim();
+    if (stripped === "") {
+      key = null;
+      return;
+    }
+    if (stripped.startsWith("#") || stripped.startsWith(";")) return;
+
+    if (/^\s/.test(line) && key !== null) {
+      section[key] += `\n${stripped}`;
+      return;
+    }
+    key = null;
+
+    const header = stripped.match(/^\[(.+)\]$/);
+    if (header) {
+      const name = header[1].trim();
+      if (name in sections) {
+        throw new Error(`Duplicate section '${name}' (${where})`);
+      }
+      section = sections[name] = {};
+      return;
+    }
+
+    const delimiter = stripped.search(/[=:]/);
+    if (delimiter <= 0) {
+      throw new Error(`Cannot parse configuration ${where}: ${stripped}`);
+    }
+    if (section === null) {
+      throw new Error(
+        `Configuration item before any section header (${where})`,
+      );
+    }
+    const name = stripped.slice(0, delimiter).trim().toLowerCase();
+    if (name in section) {
+      throw new Error(`Duplicate configuration item '${name}' (${where})`);
+    }
+    section[name] = stripped.slice(delimiter + 1).trim();
+    key = name;
+  });
+
+  return sections;
+}
+
+/**
+ * Marks the values of parsed INI sections for conversion by `ConfigParameter`.
+ * @param {Object<string, Object<string, string>>} sections - The output of `parseIni`.
+ * @returns {Object<string, Object<string, IniValue>>}
+ */
+function fromIniSections(sections) {
+  const marked = {};
+  for (const [name, params] of Object.entries(sections)) {
+    marked[name] = {};
+    for (const [key, text] of Object.entries(params)) {
+      marked[name][key] = new IniValue(text);
+    }
+  }
+  return marked;
+}
+
+/**
+ * Formats configuration sections in the INI format written by neat-python: keys in
+ * alphabetical order with aligned values, lists separated by spaces, and booleans
+ * written as `True` or `False`.
+ * @param {Object<string, Object>} sections - The sections, by name, as plain objects.
+ * @returns {string}
+ */
+export function formatIni(sections) {
+  const format = (value) => {
+    if (Array.isArray(value)) return value.join(" ");
+    if (typeof value === "boolean") return value ? "True" : "False";
+    return String(value);
+  };
+
+  const blocks = Object.entries(sections).map(([name, params]) => {
+    const keys = Object.keys(params)
+      .filter((k) => params[k] !== null && params[k] !== undefined)
+      .sort();
+    const width = Math.max(0, ...keys.map((k) => k.length));
+    const lines = keys.map((k) => `${k.padEnd(width)} = ${format(params[k])}`);
+    return `[${name}]\n${lines.join("\n")}\n`;
+  });
+  return blocks.join("\n");
+}
+
+/**
+ * Returns the static hook a type uses to parse its configuration section.
+ * Genome types define `parseConfig`, the other components define `parse_config`.
+ * @param {Function} type - The class/constructor of the component.
+ * @returns {function(Object): Object}
+ */
+function getParseHook(type) {
+  const hook = type.parseConfig ?? type.parse_config;
+  if (typeof hook !== "function") {
+    throw new Error(
+      `Type ${type.name} must have a static 'parseConfig' or 'parse_config' method.`,
+    );
+  }
+  return hook.bind(type);
+}
+
 /**
  * A container for user-configurable parameters of the main algorithm (e.g., NEAT).
+ * It parses every section of the configuration document and creates the linked
+ * reproduction, species set and stagnation instances, all sharing one `reporters`
+ * set, so the result can be passed directly to `Population`.
  */
 export class Config {
   // Defines the main parameters for the NEAT section of the configuration.
@@ -146,36 +310,33 @@ export class Config {
    * @param {Object} reproduction_type - The class/constructor for reproduction.
    * @param {Object} species_set_type - The class/constructor for the species set.
    * @param {Object} stagnation_type - The class/constructor for stagnation.
-   * @param {string} configString - The configuration as a JSON string.
+   * @param {string|Object} configSource - The configuration as a JSON string, the text of a
+   * neat-python INI file (see `parseIni`), or an already parsed object.
    */
   constructor(
     genome_type,
     reproduction_type,
     species_set_type,
     stagnation_type,
-    configString,
+    configSource,
   ) {
-    // Check that the provided types have the required static `parseConfig` method.
-    for (const type of [
-      genome_type,
-      reproduction_type,
-      species_set_type,
-      stagnation_type,
-    ]) {
-      if (typeof type.parseConfig !== "function") {
-        throw new Error(
-          `Type ${type.name} must have a static 'parseConfig' method.`,
-        );
-      }
-    }
+    // Check that the provided types have a static parsing hook.
+    const parseGenome = getParseHook(genome_type);
+    const parseReproduction = getParseHook(reproduction_type);
+    const parseSpeciesSet = getParseHook(species_set_type);
+    const parseStagnation = getParseHook(stagnation_type);
 
-    // --- Changed to snake_case ---
     this.genome_type = genome_type;
     this.reproduction_type = reproduction_type;
     this.species_set_type = species_set_type;
     this.stagnation_type = stagnation_type;
 
-    const parameters = JSON.parse(configString);
+    let parameters = configSource;
+    if (typeof configSource === "string") {
+      parameters = configSource.trimStart().startsWith("{")
+        ? JSON.parse(configSource)
+        : fromIniSections(parseIni(configSource));
+    }
 
     // --- NEAT configuration ---
     const neatConfig = parameters["NEAT"];
@@ -201,26 +362,36 @@ export class Config {
     }
 
     // --- Parse type-specific sections ---
-    // --- Changed to snake_case ---
-    const genomeDict = parameters[genome_type.name] || {};
-    this.genome_config = genome_type.parseConfig(genomeDict);
-
-    const speciesSetDict = parameters[species_set_type.name] || {};
-    this.species_set_config = species_set_type.parseConfig(speciesSetDict);
+    // Sections are copied because parsing hooks may add entries to them.
+    const section = (type) => ({ ...(parameters[type.name] || {}) });
+    this.genome_config = parseGenome(section(genome_type));
+    this.species_set_config = parseSpeciesSet(section(species_set_type));
+    this.stagnation_config = parseStagnation(section(stagnation_type));
+    this.reproduction_config = parseReproduction(section(reproduction_type));
 
-    const stagnationDict = parameters[stagnation_type.name] || {};
-    this.stagnation_config = stagnation_type.parseConfig(stagnationDict);
-
-    const reproductionDict = parameters[reproduction_type.name] || {};
-    this.reproduction_config = reproduction_type.parseConfig(reproductionDict);
+    // --- Create and link the component instances ---
+    this.reporters = new ReporterSet();
+    this.stagnation = new stagnation_type(
+      this.stagnation_config,
+      this.reporters,
+    );
+    this.reproduction = new reproduction_type(
+      this.reproduction_config,
+      this.reporters,
+      this.stagnation,
+    );
+    this.species_set = new species_set_type(
+      this.species_set_config,
+      this.reporters,
+    );
   }
 
   /**
-   * Serializes the current configuration into a pretty-formatted JSON string.
+   * Converts the current configuration to a plain object with one entry per section.
    * Assumes that component configs (genome, reproduction, etc.) have a `toObject()` method.
-   * @returns {string} The JSON string representing the full configuration.
+   * @returns {Object} The configuration, in the form the constructor accepts.
    */
-  toJsonString() {
+  toObject() {
     const configData = {};
 
     // NEAT section
@@ -258,6 +429,31 @@ export class Config {
         this.reproduction_config.toObject();
     }
 
-    return JSON.stringify(configData, null, 2);
+    return configData;
+  }
+
+  /**
+   * Serializes the current configuration into a pretty-formatted JSON string.
+   * @returns {string} The JSON string representing the full configuration.
+   */
+  toJsonString() {
+    return JSON.stringify(this.toObject(), null, 2);
+  }
+
+  /**
+   * Serializes the current configuration in the INI format of neat-python config files.
+   * @returns {string}
+   */
+  toIniString() {
+    return formatIni(this.toObject());
+  }
+
+  /**
+   * Saves the current configuration as a neat-python INI config file.
+   * @param {string} filename
+   * @returns {Promise<void>}
+   */
+  save(filename) {
+    return write_file(filename, this.toIniString());
   }
 }
@@ -0,0 +1,84 @@
+/**
+ * A Node.js implementation for saving and restoring simulation state.
+ * Checkpoints are written as (optionally gzip-compressed) JSON files in a directory.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import {
+  Checkpointer,
+  checkpoint_state,
+  population_from_state,
+} from "./checkpoint.js";
+
+export class FileCheckpointer extends Checkpointer {
+  /**
+   * Saves the simulation state to disk at regular intervals.
+   * @param {number|null} [generation_interval=100] - Generations between saves.
+   * @param {number|null} [time_interval_seconds=300] - Seconds between saves.
+   * @param {string} [filename_prefix='neat-checkpoint-'] - Prefix for checkpoint file names.
+   * @param {string} [directory='.'] - Directory the checkpoints are written to; created if missing.
+   * @param {boolean} [compress=false] - If true, checkpoints are gzip-compressed (`.json.gz`).
+   */
+  constructor(
+    generation_interval = 100,
+    time_interval_seconds = 300,
+    filename_prefix = "neat-checkpoint-",
+    directory = ".",
+    compress = false,
+  ) {
+    super(generation_interval, time_interval_seconds, filename_prefix);
+    this.directory = directory;
+    this.compress = compress;
+  }
+
+  /**
+   * Serializes the current simulation state and writes it to a file.
+   * @returns {string} The path of the written checkpoint.
+   */
+  save_checkpoint(config, population, species_set, generation) {
+    const extension = this.compress ? ".json.gz" : ".json";
+    const filename = path.join(
+      this.directory,
+      `${this.filename_prefix}${generation}${extension}`,
+    );
+    console.log(`Saving checkpoint to ${filename}`);
+
+    const state = checkpoint_state(
+      config,
+      population,
+      species_set,
+      generation,
+      this.best_genome,
+    );
+    let data = Buffer.from(JSON.stringify(state), "utf8");
+    if (this.compress) {
+      data = zlib.gzipSync(data);
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(filename, data);
+    return filename;
+  }
+
+  /**
+   * Restores a simulation from a checkpoint file.
+   * Gzip-compressed checkpoints are detected automatically.
+   * @param {string} filename - Path of the checkpoint file.
+   * @param {Object} [types={}] - Custom genome or component classes used by the run, keyed by class name.
+   * @returns {Promise<Population>} A promise that resolves to a new Population instance.
+   */
+  static async restore_checkpoint(filename, types = {}) {
+    if (!filename) {
+      throw new Error("No file provided for restore.");
+    }
+
+    let data = await fs.promises.readFile(filename);
+    // Gzip streams start with the magic bytes 0x1f 0x8b.
+    if (data.length >= 2 && data[0] === 0x1f && data[1] === 0x8b) {
+      data = zlib.gunzipSync(data);
+    }
+    const state = JSON.parse(data.toString("utf8"));
+    return population_from_state(state, types);
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Saves generated files in both environments the library runs in.
+ */
+
+/**
+ * Writes a file: as a download in the browser, or to the filesystem in Node.js.
+ * @param {string} filename - The file name (or path, in Node.js).
+ * @param {string|Uint8Array} data - The file contents.
+ * @param {string} [type="text/plain"] - The MIME type of the download in the browser.
+ * @returns {Promise<void>}
+ * @throws {Error} In other environments, such as Web Workers, which can do neither.
+ */
+export async function write_file(filename, data, type = "text/plain") {
+  if (typeof document !== "undefined") {
+    const blob = new Blob([data], { type });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(a.href);
+    return;
+  }
+  if (typeof process === "undefined" || !process.versions?.node) {
+    throw new Error(
+      `Cannot write ${filename}: unsupported environment (files can only be saved from a browser page or Node.js)`,
+    );
+  }
+  const fs = await import("node:fs/promises");
+  await fs.writeFile(filename, data);
+}
@@ -113,6 +113,20 @@ export class DefaultConnectionGene extends BaseGene {
         `DefaultConnectionGene key must be a [in, out] tuple (array), not ${key}`,
       );
     super(key);
+    // Historical marking assigned by the InnovationTracker; not an evolvable attribute.
+    this.innovation = null;
+  }
+
+  copy() {
+    const newGene = super.copy();
+    newGene.innovation = this.innovation;
+    return newGene;
+  }
+
+  crossover(otherGene) {
+    const newGene = super.crossover(otherGene);
+    newGene.innovation = this.innovation ?? otherGene.innovation;
+    return newGene;
   }
 
   distance(other, config) {
@@ -121,3 +135,39 @@ export class DefaultConnectionGene extends BaseGene {
     return d * config.compatibility_weight_coefficient; // Using snake_case
   }
 }
+
+export class CTRNNNodeGene extends BaseGene {
+  static _gene_attributes = [
+    new FloatAttribute("bias"),
+    new FloatAttribute("response"),
+    new FloatAttribute("time_constant"),
+    new StringAttribute("activation", { options: [] }),
+    new StringAttribute("aggregation", { options: [] }),
+  ];
+
+  constructor(key) {
+    if (typeof key !== "number")
+      throw new Error(`CTRNNNodeGene key must be a number, not ${key}`);
+    super(key);
+  }
+
+  static validateAttributes(config) {
+    super.validateAttributes(config);
+    // A time constant of zero (or less) makes the node's integration diverge.
+    if (config.time_constant_min_value <= 0) {
+      throw new Error(
+        "Invalid min configuration for attribute time_constant: must be greater than 0",
+      );
+    }
+  }
+
+  distance(other, config) {
+    let d =
+      Math.abs(this.bias - other.bias) +
+      Math.abs(this.response - other.response) +
+      Math.abs(this.time_constant - other.time_constant);
+    if (this.activation !== other.activation) d += 1.0;
+    if (this.aggregation !== other.aggregation) d += 1.0;
+    return d * config.compatibility_weight_coefficient;
+  }
+}
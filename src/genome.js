@@ -5,16 +5,13 @@
 import { ActivationFunctionSet } from "./activations.js";
 import { AggregationFunctionSet } from "./aggregations.js";
 import { ConfigParameter } from "./config.js";
-import { DefaultConnectionGene, DefaultNodeGene } from "./genes.js";
-import { createsCycle } from "./graphs.js";
-import { choice, random } from "./randomUtil.js";
-
-function shuffle(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
-  }
-}
+import {
+  CTRNNNodeGene,
+  DefaultConnectionGene,
+  DefaultNodeGene,
+} from "./genes.js";
+import { createsCycle, requiredForOutput } from "./graphs.js";
+import { choice, random, shuffle } from "./randomUtil.js";
 
 export class DefaultGenomeConfig {
   static allowed_connectivity = [
@@ -79,7 +76,7 @@ export class DefaultGenomeConfig {
     this.connection_fraction = null;
 
     if (this.initial_connection.includes("partial")) {
-      const [type, fractionStr] = this.initial_connection.split(" ");
+      const [type, fractionStr] = this.initial_connection.trim().split(/\s+/);
       this.initial_connection = type;
       this.connection_fraction = parseFloat(fractionStr);
       if (
@@ -103,6 +100,30 @@ export class DefaultGenomeConfig {
       );
     }
 
+    // The unqualified modes never connect inputs directly to outputs (or, for fs_neat,
+    // to hidden nodes), which may not be what was intended when hidden nodes exist.
+    if (this.num_hidden > 0) {
+      if (this.initial_connection === "fs_neat") {
+        console.warn(
+          "initial_connection = fs_neat will not connect to hidden nodes;\n" +
+            "\tif this is desired, set initial_connection = fs_neat_nohidden;\n" +
+            "\tif not, set initial_connection = fs_neat_hidden",
+        );
+      } else if (this.initial_connection === "full") {
+        console.warn(
+          "initial_connection = full with hidden nodes will not do direct input-output connections;\n" +
+            "\tif this is desired, set initial_connection = full_nodirect;\n" +
+            "\tif not, set initial_connection = full_direct",
+        );
+      } else if (this.initial_connection === "partial") {
+        console.warn(
+          "initial_connection = partial with hidden nodes will not do direct input-output connections;\n" +
+            `\tif this is desired, set initial_connection = partial_nodirect ${this.connection_fraction};\n` +
+            `\tif not, set initial_connection = partial_direct ${this.connection_fraction}`,
+        );
+      }
+    }
+
     const surer = this.structural_mutation_surer.toLowerCase();
     if (["1", "yes", "true", "on"].includes(surer))
       this.structural_mutation_surer = "true";
@@ -115,6 +136,24 @@ export class DefaultGenomeConfig {
       );
 
     this.node_indexer = null;
+    // Set by the reproduction scheme that owns it; see InnovationTracker.
+    this.innovation_tracker = null;
+  }
+
+  /**
+   * Converts the configuration to a plain object holding the parameter values,
+   * in the same form that `DefaultGenome.parseConfig` accepts.
+   * @returns {Object} A plain object representing the configuration.
+   */
+  toObject() {
+    const obj = {};
+    for (const p of this._params) {
+      obj[p.name] = this[p.name];
+    }
+    if (this.connection_fraction !== null) {
+      obj.initial_connection = `${this.initial_connection} ${this.connection_fraction}`;
+    }
+    return obj;
   }
 
   get_new_node_key(nodeDict) {
@@ -157,6 +196,33 @@ export class DefaultGenome {
     this.fitness = null;
   }
 
+  /**
+   * Rebuilds a genome from a plain object, such as one produced by JSON parsing or
+   * structured cloning, restoring the class instances of its node and connection genes.
+   * @param {Object} data - The plain genome object.
+   * @param {DefaultGenomeConfig} config - The genome configuration.
+   * @returns {DefaultGenome}
+   */
+  static from_object(data, config) {
+    const genome = new this(data.key);
+    Object.assign(genome, data);
+    genome.nodes = {};
+    genome.connections = {};
+    for (const [key, plain_node] of Object.entries(data.nodes)) {
+      genome.nodes[key] = Object.assign(
+        new config.node_gene_type(plain_node.key),
+        plain_node,
+      );
+    }
+    for (const [key, plain_conn] of Object.entries(data.connections)) {
+      genome.connections[key] = Object.assign(
+        new config.connection_gene_type(plain_conn.key),
+        plain_conn,
+      );
+    }
+    return genome;
+  }
+
   configure_new(config) {
     for (const nodeKey of config.output_keys)
       this.nodes[nodeKey] = DefaultGenome.create_node(config, nodeKey);
@@ -165,17 +231,43 @@ export class DefaultGenome {
       this.nodes[nodeKey] = DefaultGenome.create_node(config, nodeKey);
     }
 
-    if (config.initial_connection.includes("fs_neat"))
-      this.connect_fs_neat_nohidden(config);
-    else if (config.initial_connection.includes("full"))
-      this.connect_full_nodirect(config);
-    else if (config.initial_connection.includes("partial"))
-      this.connect_partial_nodirect(config);
+    switch (config.initial_connection) {
+      case "fs_neat_nohidden":
+      case "fs_neat":
+        this.connect_fs_neat_nohidden(config);
+        break;
+      case "fs_neat_hidden":
+        this.connect_fs_neat_hidden(config);
+        break;
+      case "full_nodirect":
+      case "full":
+        this.connect_full_nodirect(config);
+        break;
+      case "full_direct":
+        this.connect_full_direct(config);
+        break;
+      case "partial_nodirect":
+      case "partial":
+        this.connect_partial_nodirect(config);
+        break;
+      case "partial_direct":
+        this.connect_partial_direct(config);
+        break;
+    }
   }
 
-  configure_crossover(genome1, genome2) {
+  /**
+   * Configures this genome as the child of two parents. Genes present in both parents
+   * are crossed over; the others are inherited from the fitter parent.
+   * @param {DefaultGenome} genome1
+   * @param {DefaultGenome} genome2
+   * @param {Object} config - The genome configuration object.
+   * @param {function(DefaultGenome): number} [fitness] - Ranks the parents; by default
+   * their `fitness`, but reproduction schemes pass the value they select by.
+   */
+  configure_crossover(genome1, genome2, config, fitness = (g) => g.fitness) {
     const [parent1, parent2] =
-      genome1.fitness > genome2.fitness
+      fitness(genome1) > fitness(genome2)
         ? [genome1, genome2]
         : [genome2, genome1];
     for (const [key, cg1] of Object.entries(parent1.connections)) {
@@ -227,7 +319,14 @@ export class DefaultGenome {
       return;
     }
     const connToSplit = choice(connValues);
-    const newNodeId = config.get_new_node_key(this.nodes);
+    // Splitting the same connection as another genome this generation reuses its node key.
+    const newNodeId = config.innovation_tracker
+      ? config.innovation_tracker.get_split_node_key(
+          connToSplit.key,
+          config,
+          this.nodes,
+        )
+      : config.get_new_node_key(this.nodes);
     this.nodes[newNodeId] = DefaultGenome.create_node(config, newNodeId);
     connToSplit.enabled = false;
     const [inNode, outNode] = connToSplit.key;
@@ -237,8 +336,11 @@ export class DefaultGenome {
 
   add_connection(config, inputKey, outputKey, weight, enabled) {
     const key = [inputKey, outputKey];
-    const connection = new config.connection_gene_type(key);
-    connection.initAttributes(config);
+    const connection = DefaultGenome.create_connection(
+      config,
+      inputKey,
+      outputKey,
+    );
     connection.weight = weight;
     connection.enabled = enabled;
     this.connections[JSON.stringify(key)] = connection;
@@ -326,6 +428,142 @@ export class DefaultGenome {
     ];
   }
 
+  /**
+   * Returns a copy of this genome without the structure that cannot affect its outputs:
+   * disabled connections, hidden nodes that are not required for any output, hidden nodes
+   * with no path from any input, and the connections of the removed nodes.
+   * With `fold_identity`, hidden nodes that just pass on their only input (identity
+   * activation, zero bias, unit response) are also removed, and each of their outgoing
+   * connections is replaced by one from their input with the product of the two weights.
+   * The outputs of the pruned network are the same (with folding, up to floating-point
+   * rounding) whenever the original network's outputs are defined.
+   * @param {DefaultGenomeConfig} config - The genome configuration.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.fold_identity=false] - Whether pass-through nodes are folded.
+   * @returns {DefaultGenome} The pruned genome, with the same key and fitness.
+   */
+  prune(config, options = {}) {
+    const { fold_identity = false } = options;
+    const output_keys = new Set(config.output_keys);
+    const enabled = Object.values(this.connections).filter((cg) => cg.enabled);
+
+    const required = requiredForOutput(
+      config.input_keys,
+      config.output_keys,
+      enabled.map((cg) => cg.key),
+    );
+    const reachable = new Set(config.input_keys);
+    let frontier = [...config.input_keys];
+    while (frontier.length > 0) {
+      const next = [];
+      for (const cg of enabled) {
+        const [i, o] = cg.key;
+        if (frontier.includes(i) && !reachable.has(o)) {
+          reachable.add(o);
+          next.push(o);
+        }
+      }
+      frontier = next;
+    }
+
+    const pruned = new this.constructor(this.key);
+    pruned.fitness = this.fitness;
+    for (const [key, ng] of Object.entries(this.nodes)) {
+      const k = Number(key);
+      if (output_keys.has(k) || (required.has(k) && reachable.has(k))) {
+        pruned.nodes[key] = ng.copy();
+      }
+    }
+    const kept = (k) => config.input_keys.includes(k) || k in pruned.nodes;
+    for (const cg of enabled) {
+      if (kept(cg.key[0]) && kept(cg.key[1])) {
+        pruned.connections[JSON.stringify(cg.key)] = cg.copy();
+      }
+    }
+
+    if (fold_identity) {
+      while (pruned.fold_identity_node(config));
+    }
+    return pruned;
+  }
+
+  /**
+   * Shorthand for `prune(config, { fold_identity: true })`.
+   * @param {DefaultGenomeConfig} config - The genome configuration.
+   * @returns {DefaultGenome}
+   */
+  simplify(config) {
+    return this.prune(config, { fold_identity: true });
+  }
+
+  /**
+   * Folds one identity pass-through hidden node into its connections (see `prune`).
+   * A node is skipped when one of its targets already has a connection from its input
+   * and does not use the "sum" aggregation, since the two could not be merged.
+   * @param {DefaultGenomeConfig} config - The genome configuration.
+   * @returns {boolean} True if a node was folded.
+   */
+  fold_identity_node(config) {
+    // With a single input, every built-in aggregation returns that input.
+    const single_input_identity = [
+      "sum",
+      "product",
+      "max",
+      "min",
+      "maxabs",
+      "median",
+      "mean",
+    ];
+    const conns = Object.values(this.connections);
+
+    for (const [key, ng] of Object.entries(this.nodes)) {
+      const k = Number(key);
+      if (
+        config.output_keys.includes(k) ||
+        ng.activation !== "identity" ||
+        !single_input_identity.includes(ng.aggregation) ||
+        ng.bias !== 0 ||
+        ng.response !== 1
+      ) {
+        continue;
+      }
+      const incoming = conns.filter((cg) => cg.key[1] === k);
+      const outgoing = conns.filter((cg) => cg.key[0] === k);
+      if (incoming.length !== 1 || incoming[0].key[0] === k) continue;
+
+      const source = incoming[0].key[0];
+      const mergeable = outgoing.every(
+        (cg) =>
+          !(JSON.stringify([source, cg.key[1]]) in this.connections) ||
+          this.nodes[cg.key[1]].aggregation === "sum",
+      );
+      if (!mergeable) continue;
+
+      delete this.connections[JSON.stringify(incoming[0].key)];
+      for (const cg of outgoing) {
+        delete this.connections[JSON.stringify(cg.key)];
+        const new_key = [source, cg.key[1]];
+        const weight = incoming[0].weight * cg.weight;
+        const existing = this.connections[JSON.stringify(new_key)];
+        if (existing) {
+          existing.weight += weight;
+        } else {
+          const new_cg = new config.connection_gene_type(new_key);
+          new_cg.weight = weight;
+          new_cg.enabled = true;
+          if (config.innovation_tracker) {
+            new_cg.innovation =
+              config.innovation_tracker.get_connection_innovation(...new_key);
+          }
+          this.connections[JSON.stringify(new_key)] = new_cg;
+        }
+      }
+      delete this.nodes[key];
+      return true;
+    }
+    return false;
+  }
+
   toString() {
     let s = `Key: ${this.key}\nFitness: ${this.fitness}\nNodes:`;
     for (const [k, ng] of Object.entries(this.nodes))
@@ -347,6 +585,12 @@ export class DefaultGenome {
   static create_connection(config, inputId, outputId) {
     const conn = new config.connection_gene_type([inputId, outputId]);
     conn.initAttributes(config);
+    if (config.innovation_tracker) {
+      conn.innovation = config.innovation_tracker.get_connection_innovation(
+        inputId,
+        outputId,
+      );
+    }
     return conn;
   }
 
@@ -365,35 +609,84 @@ export class DefaultGenome {
       for (const i of config.input_keys)
         for (const o of output) connections.push([i, o]);
     }
+    // For recurrent genomes, include node self-connections.
+    if (!config.feed_forward) {
+      for (const k of Object.keys(this.nodes).map(Number))
+        connections.push([k, k]);
+    }
     return connections;
   }
 
   connect_full_nodirect(config) {
-    const connections = this.compute_full_connections(config, false);
-    for (const [i, o] of connections) {
-      const conn = DefaultGenome.create_connection(config, i, o);
-      this.connections[JSON.stringify(conn.key)] = conn;
-    }
+    this.connect_all(config, this.compute_full_connections(config, false));
+  }
+
+  connect_full_direct(config) {
+    this.connect_all(config, this.compute_full_connections(config, true));
   }
 
   connect_partial_nodirect(config) {
-    const all_connections = this.compute_full_connections(config, false);
-    shuffle(all_connections);
-    const num_to_add = Math.round(
-      all_connections.length * config.connection_fraction,
+    this.connect_all(
+      config,
+      this.sample_connections(
+        this.compute_full_connections(config, false),
+        config.connection_fraction,
+      ),
+    );
+  }
+
+  connect_partial_direct(config) {
+    this.connect_all(
+      config,
+      this.sample_connections(
+        this.compute_full_connections(config, true),
+        config.connection_fraction,
+      ),
     );
-    for (let i = 0; i < num_to_add; i++) {
-      const [input_id, output_id] = all_connections[i];
-      const conn = DefaultGenome.create_connection(config, input_id, output_id);
-      this.connections[JSON.stringify(conn.key)] = conn;
-    }
   }
 
   connect_fs_neat_nohidden(config) {
     const input_id = choice(config.input_keys);
-    for (const output_id of config.output_keys) {
+    this.connect_all(
+      config,
+      config.output_keys.map((output_id) => [input_id, output_id]),
+    );
+  }
+
+  connect_fs_neat_hidden(config) {
+    const input_id = choice(config.input_keys);
+    const others = Object.keys(this.nodes)
+      .map(Number)
+      .filter((k) => !config.input_keys.includes(k));
+    this.connect_all(
+      config,
+      others.map((output_id) => [input_id, output_id]),
+    );
+  }
+
+  sample_connections(all_connections, fraction) {
+    shuffle(all_connections);
+    const num_to_add = Math.round(all_connections.length * fraction);
+    return all_connections.slice(0, num_to_add);
+  }
+
+  connect_all(config, pairs) {
+    for (const [input_id, output_id] of pairs) {
       const conn = DefaultGenome.create_connection(config, input_id, output_id);
       this.connections[JSON.stringify(conn.key)] = conn;
     }
   }
 }
+
+/**
+ * A genome for continuous-time recurrent networks, whose node genes carry an
+ * evolvable `time_constant` attribute (configured through the
+ * `time_constant_*` parameters).
+ */
+export class CTRNNGenome extends DefaultGenome {
+  static parseConfig(paramDict) {
+    paramDict.node_gene_type = CTRNNNodeGene;
+    paramDict.connection_gene_type = DefaultConnectionGene;
+    return new DefaultGenomeConfig(paramDict);
+  }
+}
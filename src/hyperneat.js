@@ -0,0 +1,139 @@
+/**
+ * HyperNEAT: evolved genomes are used as CPPNs (compositional pattern-producing networks)
+ * that paint the connection weights of a much larger network laid out on a substrate.
+ */
+import { FeedForwardNetwork } from "./nn.js";
+
+/**
+ * The geometry of the network a CPPN paints: the coordinates of its input, hidden and
+ * output nodes. Connections run from the inputs through each hidden layer in turn to the
+ * outputs (or directly from the inputs to the outputs when there are no hidden layers).
+ */
+export class Substrate {
+  /**
+   * @param {number[][]} input_coordinates - The coordinates of each input node.
+   * @param {number[][]} output_coordinates - The coordinates of each output node.
+   * @param {number[][][]} [hidden_coordinates=[]] - The coordinates of the nodes of each hidden layer.
+   */
+  constructor(input_coordinates, output_coordinates, hidden_coordinates = []) {
+    this.input_coordinates = input_coordinates;
+    this.output_coordinates = output_coordinates;
+    this.hidden_coordinates = hidden_coordinates;
+
+    const all = [
+      ...input_coordinates,
+      ...output_coordinates,
+      ...hidden_coordinates.flat(),
+    ];
+    if (all.length === 0) {
+      throw new Error("A substrate needs at least one node");
+    }
+    this.dimensions = all[0].length;
+    for (const c of all) {
+      if (c.length !== this.dimensions) {
+        throw new Error(
+          `All substrate coordinates must have ${this.dimensions} dimensions, got [${c}]`,
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Builds the substrate network encoded by a genome used as a CPPN.
+ *
+ * The CPPN is queried through a `FeedForwardNetwork` once per possible connection, with
+ * the coordinates of the source node followed by those of the target node as inputs, so its
+ * genome must have twice as many inputs as the substrate has dimensions. Its first output
+ * is the connection weight: connections whose |output| is at most `weight_threshold` are not
+ * expressed, and the others get a weight scaled from (threshold, 1] to (0, `max_weight`].
+ * If the CPPN has a second output, it sets the bias of every hidden and output node,
+ * queried with all-zero source coordinates and the node's own coordinates as the target.
+ *
+ * @param {Object} genome - The CPPN genome.
+ * @param {Object} config - The main NEAT configuration object (of the CPPN genomes).
+ * @param {Substrate} substrate - The substrate to paint.
+ * @param {Object} [options={}]
+ * @param {number} [options.weight_threshold=0.2] - The expression threshold.
+ * @param {number} [options.max_weight=5.0] - The largest magnitude of an expressed weight.
+ * @param {string} [options.activation="sigmoid"] - The activation function of the substrate's
+ * hidden and output nodes, by name in the genome configuration's `activation_defs`.
+ * @returns {FeedForwardNetwork} The substrate network; call `compile()` on it for faster activation.
+ */
+export function create_substrate_network(
+  genome,
+  config,
+  substrate,
+  options = {},
+) {
+  const {
+    weight_threshold = 0.2,
+    max_weight = 5.0,
+    activation = "sigmoid",
+  } = options;
+  const genome_config = config.genome_config;
+
+  if (genome_config.num_inputs !== 2 * substrate.dimensions) {
+    throw new Error(
+      `A CPPN for a ${substrate.dimensions}-dimensional substrate needs ${2 * substrate.dimensions} inputs, got ${genome_config.num_inputs}`,
+    );
+  }
+  if (genome_config.num_outputs < 1 || genome_config.num_outputs > 2) {
+    throw new Error(
+      `A CPPN needs 1 output (weight) or 2 outputs (weight, bias), got ${genome_config.num_outputs}`,
+    );
+  }
+  if (!(weight_threshold >= 0 && weight_threshold < 1)) {
+    throw new Error(
+      `weight_threshold must be in [0, 1), got ${weight_threshold}`,
+    );
+  }
+
+  const cppn = FeedForwardNetwork.create(genome, config).compile();
+  const act_func = genome_config.activation_defs.get(activation);
+  const agg_func = genome_config.aggregation_defs.get("sum");
+
+  const query = new Float64Array(2 * substrate.dimensions);
+  const query_cppn = (source, target) => {
+    query.set(source, 0);
+    query.set(target, substrate.dimensions);
+    return cppn.activate(query);
+  };
+  const origin = new Array(substrate.dimensions).fill(0);
+
+  // Node keys follow the genome convention: inputs are negative, outputs start at 0.
+  const input_keys = substrate.input_coordinates.map((_, i) => -i - 1);
+  const output_keys = substrate.output_coordinates.map((_, i) => i);
+  let next_key = output_keys.length;
+  const layers = [
+    input_keys.map((k, i) => [k, substrate.input_coordinates[i]]),
+    ...substrate.hidden_coordinates.map((layer) =>
+      layer.map((c) => [next_key++, c]),
+    ),
+    output_keys.map((k, i) => [k, substrate.output_coordinates[i]]),
+  ];
+
+  const node_evals = [];
+  for (let l = 1; l < layers.length; l++) {
+    for (const [key, target] of layers[l]) {
+      const links = [];
+      for (const [source_key, source] of layers[l - 1]) {
+        const w = Math.max(-1, Math.min(1, query_cppn(source, target)[0]));
+        if (Math.abs(w) > weight_threshold) {
+          const scaled =
+            ((Math.abs(w) - weight_threshold) / (1 - weight_threshold)) *
+            max_weight;
+          links.push([source_key, Math.sign(w) * scaled]);
+        }
+      }
+      // A CPPN whose bias output is never evaluated leaves the bias at 0.
+      const bias =
+        genome_config.num_outputs === 2
+          ? (query_cppn(origin, target)[1] ?? 0.0)
+          : 0.0;
+      node_evals.push([key, act_func, agg_func, bias, 1.0, links]);
+    }
+  }
+
+  return new FeedForwardNetwork(input_keys, output_keys, node_evals);
+}
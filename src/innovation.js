@@ -0,0 +1,65 @@
+/**
+ * Keeps track of the structural innovations (new nodes and connections) made during a
+ * generation, so that identical mutations in different genomes receive identical keys.
+ */
+
+/**
+ * Assigns node keys to connection splits and innovation numbers to connections.
+ * Owned by the reproduction scheme, which resets it at the start of each generation.
+ */
+export class InnovationTracker {
+  constructor() {
+    // Innovation numbers are unique over the whole run.
+    this.innovation_indexer = 1;
+    // Innovations made in the current generation, keyed by `${in},${out}`.
+    this.node_splits = new Map();
+    this.connection_innovations = new Map();
+  }
+
+  /**
+   * Forgets the current generation's innovations; innovation numbers keep counting up.
+   */
+  reset() {
+    this.node_splits.clear();
+    this.connection_innovations.clear();
+  }
+
+  /**
+   * Returns the key of the node created by splitting the given connection. A connection
+   * that was already split in this generation gets the node key used the first time.
+   * @param {[number, number]} connection_key - The [input, output] key of the connection being split.
+   * @param {Object} config - The genome configuration, used to draw new node keys.
+   * @param {Object} nodes - The node genes of the genome being mutated.
+   * @returns {number} The key for the new node.
+   */
+  get_split_node_key(connection_key, config, nodes) {
+    const key = `${connection_key[0]},${connection_key[1]}`;
+    const node_key = this.node_splits.get(key);
+    if (node_key !== undefined && nodes[node_key] === undefined) {
+      return node_key;
+    }
+
+    const new_key = config.get_new_node_key(nodes);
+    if (node_key === undefined) {
+      this.node_splits.set(key, new_key);
+    }
+    return new_key;
+  }
+
+  /**
+   * Returns the innovation number of a connection between the given nodes, reusing the
+   * number if the same connection already appeared in this generation.
+   * @param {number} input_key - The connection's input node key.
+   * @param {number} output_key - The connection's output node key.
+   * @returns {number} The innovation number.
+   */
+  get_connection_innovation(input_key, output_key) {
+    const key = `${input_key},${output_key}`;
+    let innovation = this.connection_innovations.get(key);
+    if (innovation === undefined) {
+      innovation = this.innovation_indexer++;
+      this.connection_innovations.set(key, innovation);
+    }
+    return innovation;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Implements a spiking neural network (closer to biological neurons) using the
+ * Izhikevich model, together with the node gene and genome types that evolve it.
+ *
+ * See http://www.izhikevich.org/publications/spikes.pdf for details of the model.
+ */
+import { FloatAttribute } from "./attributes.js";
+import { BaseGene, DefaultConnectionGene } from "./genes.js";
+import { DefaultGenome, DefaultGenomeConfig } from "./genome.js";
+import { requiredForOutput } from "./graphs.js";
+
+// a, b, c, d are the parameters of the Izhikevich model.
+// a: the time scale of the recovery variable
+// b: the sensitivity of the recovery variable
+// c: the after-spike reset value of the membrane potential
+// d: the after-spike reset of the recovery variable
+// The following parameter sets produce some known spiking behaviors:
+export const REGULAR_SPIKING_PARAMS = { a: 0.02, b: 0.2, c: -65.0, d: 8.0 };
+export const INTRINSICALLY_BURSTING_PARAMS = {
+  a: 0.02,
+  b: 0.2,
+  c: -55.0,
+  d: 4.0,
+};
+export const CHATTERING_PARAMS = { a: 0.02, b: 0.2, c: -50.0, d: 2.0 };
+export const FAST_SPIKING_PARAMS = { a: 0.1, b: 0.2, c: -65.0, d: 2.0 };
+export const THALAMO_CORTICAL_PARAMS = { a: 0.02, b: 0.25, c: -65.0, d: 0.05 };
+export const RESONATOR_PARAMS = { a: 0.1, b: 0.25, c: -65.0, d: 2.0 };
+export const LOW_THRESHOLD_SPIKING_PARAMS = {
+  a: 0.02,
+  b: 0.25,
+  c: -65,
+  d: 2.0,
+};
+
+export class IZNodeGene extends BaseGene {
+  static _gene_attributes = [
+    new FloatAttribute("bias"),
+    new FloatAttribute("a"),
+    new FloatAttribute("b"),
+    new FloatAttribute("c"),
+    new FloatAttribute("d"),
+  ];
+
+  constructor(key) {
+    if (typeof key !== "number")
+      throw new Error(`IZNodeGene key must be a number, not ${key}`);
+    super(key);
+  }
+
+  distance(other, config) {
+    const d =
+      Math.abs(this.a - other.a) +
+      Math.abs(this.b - other.b) +
+      Math.abs(this.c - other.c) +
+      Math.abs(this.d - other.d);
+    return d * config.compatibility_weight_coefficient;
+  }
+}
+
+export class IZGenome extends DefaultGenome {
+  static parseConfig(paramDict) {
+    paramDict.node_gene_type = IZNodeGene;
+    paramDict.connection_gene_type = DefaultConnectionGene;
+    return new DefaultGenomeConfig(paramDict);
+  }
+}
+
+/**
+ * Sets up and simulates the Izhikevich neuron model.
+ */
+export class IZNeuron {
+  /**
+   * @param {number} bias - The bias current of the neuron.
+   * @param {number} a - The time scale of the recovery variable.
+   * @param {number} b - The sensitivity of the recovery variable.
+   * @param {number} c - The after-spike reset value of the membrane potential.
+   * @param {number} d - The after-spike reset of the recovery variable.
+   * @param {Array<[number, number]>} inputs - A list of [input_key, weight] pairs for incoming connections.
+   */
+  constructor(bias, a, b, c, d, inputs) {
+    this.a = a;
+    this.b = b;
+    this.c = c;
+    this.d = d;
+    this.bias = bias;
+    this.inputs = inputs;
+
+    // Membrane potential (millivolts).
+    this.v = this.c;
+    // Membrane recovery variable.
+    this.u = this.b * this.v;
+
+    this.fired = 0.0;
+    this.current = this.bias;
+  }
+
+  /**
+   * Advances the simulation by the given time step in milliseconds.
+   * v' = 0.04 * v^2 + 5v + 140 - u + I
+   * u' = a * (b * v - u)
+   * if v >= 30 then
+   *     v <- c, u <- u + d
+   * @param {number} dt_msec - The time step, in milliseconds.
+   */
+  advance(dt_msec) {
+    // For numerical stability, the potential is updated in two half-steps.
+    this.v +=
+      0.5 *
+      dt_msec *
+      (0.04 * this.v ** 2 + 5 * this.v + 140 - this.u + this.current);
+    this.v +=
+      0.5 *
+      dt_msec *
+      (0.04 * this.v ** 2 + 5 * this.v + 140 - this.u + this.current);
+    this.u += dt_msec * this.a * (this.b * this.v - this.u);
+
+    // A diverging integration is treated like a reset.
+    if (!Number.isFinite(this.v) || !Number.isFinite(this.u)) {
+      this.v = this.c;
+      this.u = this.b * this.v;
+    }
+
+    this.fired = 0.0;
+    if (this.v > 30.0) {
+      // Output spike and reset.
+      this.fired = 1.0;
+      this.v = this.c;
+      this.u += this.d;
+    }
+  }
+
+  /**
+   * Resets all state variables.
+   */
+  reset() {
+    this.v = this.c;
+    this.u = this.b * this.v;
+    this.fired = 0.0;
+    this.current = this.bias;
+  }
+}
+
+/**
+ * Basic iterator-based spiking neural network implementation.
+ */
+export class IZNN {
+  /**
+   * @param {Map<number, IZNeuron>} neurons - A map of node keys to neurons.
+   * @param {number[]} inputs - List of input node keys.
+   * @param {number[]} outputs - List of output node keys.
+   */
+  constructor(neurons, inputs, outputs) {
+    this.neurons = neurons;
+    this.inputs = inputs;
+    this.outputs = outputs;
+    this.input_values = new Map();
+  }
+
+  /**
+   * Assigns input voltages; they are held until the next call.
+   * @param {number[]} inputs - An array of input values.
+   */
+  set_inputs(inputs) {
+    if (inputs.length !== this.inputs.length) {
+      throw new Error(
+        `Expected ${this.inputs.length} inputs, got ${inputs.length}`,
+      );
+    }
+    for (let i = 0; i < this.inputs.length; i++) {
+      this.input_values.set(this.inputs[i], inputs[i]);
+    }
+  }
+
+  /**
+   * Resets all neurons to their default state.
+   */
+  reset() {
+    for (const n of this.neurons.values()) {
+      n.reset();
+    }
+  }
+
+  /**
+   * @returns {number} A time step (in milliseconds) that keeps the model stable.
+   */
+  get_time_step_msec() {
+    return 0.05;
+  }
+
+  /**
+   * Advances every neuron by the given time step.
+   * @param {number} dt_msec - The time step, in milliseconds.
+   * @returns {number[]} The spike output (1.0 if fired, 0.0 otherwise) of each output node.
+   */
+  advance(dt_msec) {
+    for (const n of this.neurons.values()) {
+      n.current = n.bias;
+      for (const [i, w] of n.inputs) {
+        const source = this.neurons.get(i);
+        const ivalue =
+          source === undefined
+            ? (this.input_values.get(i) ?? 0.0)
+            : source.fired;
+        n.current += ivalue * w;
+      }
+    }
+
+    for (const n of this.neurons.values()) {
+      n.advance(dt_msec);
+    }
+
+    return this.outputs.map((key) => this.neurons.get(key).fired);
+  }
+
+  /**
+   * Creates a new IZNN from a genome and configuration.
+   * @param {IZGenome} genome
+   * @param {Object} config - The main NEAT configuration object.
+   * @returns {IZNN}
+   */
+  static create(genome, config) {
+    const genome_config = config.genome_config;
+    const connections = Object.values(genome.connections).filter(
+      (cg) => cg.enabled,
+    );
+    const required = requiredForOutput(
+      genome_config.input_keys,
+      genome_config.output_keys,
+      connections.map((c) => c.key),
+    );
+
+    // Gather the expressed inputs of every neuron.
+    const node_inputs = new Map();
+    for (const cg of connections) {
+      const [i, o] = cg.key;
+      if (!required.has(o) && !required.has(i)) continue;
+      if (!node_inputs.has(o)) node_inputs.set(o, []);
+      node_inputs.get(o).push([i, cg.weight]);
+    }
+
+    const neurons = new Map();
+    for (const node_key of required) {
+      const ng = genome.nodes[node_key];
+      const inputs = node_inputs.get(node_key) ?? [];
+      neurons.set(
+        node_key,
+        new IZNeuron(ng.bias, ng.a, ng.b, ng.c, ng.d, inputs),
+      );
+    }
+
+    return new IZNN(
+      neurons,
+      genome_config.input_keys,
+      genome_config.output_keys,
+    );
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Exports evolved feed-forward networks as standalone ES modules, with the weights,
+ * biases, responses and the activation and aggregation functions inlined, so a champion
+ * can be shipped without the library.
+ */
+import { write_file } from "./fileUtil.js";
+import { mean, median2, sum } from "./mathUtil.js";
+import { FeedForwardNetwork } from "./nn.js";
+
+/**
+ * @param {number} x
+ * @returns {string} A JavaScript literal for the number that preserves its exact value.
+ */
+function number_literal(x) {
+  return Object.is(x, -0) ? "-0" : String(x);
+}
+
+/**
+ * Returns the source of a function as a JavaScript expression, checking that it parses.
+ * @param {Function} func
+ * @param {string} description - Describes the function in error messages.
+ * @returns {string}
+ */
+function function_source(func, description) {
+  const src = func.toString();
+  try {
+    new Function(`return (${src});`);
+  } catch {
+    throw new Error(
+      `The ${description} cannot be exported: its source is not a function expression`,
+    );
+  }
+  return src;
+}
+
+/**
+ * Generates the source of a self-contained ES module for a genome's feed-forward network.
+ * The module exports `num_inputs`, `num_outputs` and `activate(inputs)`, which returns an
+ * array of output values identical to those of `FeedForwardNetwork.activate`.
+ * Activation and aggregation functions are copied by their source code, so user-added ones
+ * must not refer to anything outside their own body except globals such as `Math`.
+ * @param {Object} genome - The genome to export.
+ * @param {Object} config - The main NEAT configuration object.
+ * @returns {string} The module source.
+ */
+export function genome_to_js_module(genome, config) {
+  const genome_config = config.genome_config;
+  const net = FeedForwardNetwork.create(genome, config);
+
+  // Each distinct function is emitted once, under a generated name.
+  const functions = new Map();
+  const function_name = (func, prefix, name) => {
+    if (!functions.has(func)) {
+      const id = `${prefix}${functions.size}`;
+      const src = function_source(func, `${prefix} function '${name}'`);
+      functions.set(func, { id, name, src });
+    }
+    return functions.get(func).id;
+  };
+
+  const variables = new Map();
+  net.input_nodes.forEach((k, i) => variables.set(k, `in${i}`));
+  for (const [node] of net.node_evals) {
+    variables.set(node, `n${node}`);
+  }
+
+  const body = [];
+  for (const [node, act, agg, bias, response, links] of net.node_evals) {
+    const gene = genome.nodes[node];
+    const act_id = function_name(act, "act", gene.activation);
+    const agg_id = function_name(agg, "agg", gene.aggregation);
+    // A node that is never evaluated has an undefined value, which yields NaN.
+    const terms = links.map(
+      ([inode, weight]) =>
+        `${variables.get(inode) ?? "NaN"} * ${number_literal(weight)}`,
+    );
+    body.push(
+      `  const n${node} = ${act_id}(${number_literal(bias)} + ${number_literal(response)} * ${agg_id}([${terms.join(", ")}]));`,
+    );
+  }
+  const outputs = net.output_nodes.map((k) => variables.get(k) ?? "undefined");
+
+  // The built-in aggregations rely on these helpers.
+  const helpers = [
+    `const sum = ${sum.toString()};`,
+    mean.toString(),
+    median2.toString(),
+  ];
+  const definitions = Array.from(functions.values()).map(
+    ({ id, name, src }) => `// ${name}\nconst ${id} = ${src};`,
+  );
+  const n_in = net.input_nodes.length;
+
+  return `// Network of genome ${genome.key}, exported from NeatJS. This module has no dependencies.
+
+${helpers.join("\n\n")}
+
+${definitions.join("\n\n")}
+
+export const num_inputs = ${n_in};
+export const num_outputs = ${net.output_nodes.length};
+
+/**
+ * @param {ArrayLike<number>} inputs - The ${n_in} input values.
+ * @returns {number[]} The output values.
+ */
+export function activate(inputs) {
+  if (inputs.length !== ${n_in}) {
+    throw new Error(\`Expected ${n_in} inputs, got \${inputs.length}\`);
+  }
+${net.input_nodes.map((_, i) => `  const in${i} = inputs[${i}];`).join("\n")}
+${body.join("\n")}
+  return [${outputs.join(", ")}];
+}
+`;
+}
+
+/**
+ * Saves the module generated by `genome_to_js_module`.
+ * @param {Object} genome - The genome to export.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {string} filename - The file name, e.g. "champion.js".
+ * @returns {Promise<void>}
+ */
+export function save_js_module(genome, config, filename) {
+  return write_file(
+    filename,
+    genome_to_js_module(genome, config),
+    "text/javascript",
+  );
+}
@@ -0,0 +1,627 @@
+/**
+ * Exports evolved feed-forward networks to standard interchange formats: ONNX (as a
+ * protobuf-encoded model) and TensorFlow.js layers models (model JSON plus binary weights).
+ */
+import { ActivationFunctionSet } from "./activations.js";
+import { AggregationFunctionSet } from "./aggregations.js";
+import { write_file } from "./fileUtil.js";
+import { FeedForwardNetwork } from "./nn.js";
+
+/**
+ * Custom error for networks that use a feature the target format cannot express.
+ */
+export class UnsupportedExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UnsupportedExportError";
+  }
+}
+
+/**
+ * Describes the pruned network of a genome as a list of nodes in evaluation order,
+ * checking that every activation and aggregation function is supported by the format.
+ * @param {Object} genome - The genome to export.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {string} format - The name of the format, for error messages.
+ * @param {string[]} activations - The supported built-in activation functions.
+ * @param {string[]} aggregations - The supported built-in aggregation functions.
+ * @returns {{input_nodes: number[], output_nodes: number[], nodes: Object[]}}
+ */
+function describe_network(genome, config, format, activations, aggregations) {
+  const genome_config = config.genome_config;
+  if (!genome_config.feed_forward) {
+    throw new UnsupportedExportError(
+      `Only feed-forward networks can be exported to ${format}`,
+    );
+  }
+
+  const pruned = genome.prune(genome_config);
+  const net = FeedForwardNetwork.create(pruned, config);
+  const builtin_activations = new ActivationFunctionSet();
+  const builtin_aggregations = new AggregationFunctionSet();
+
+  const nodes = net.node_evals.map(([key, act, agg, bias, response, links]) => {
+    const { activation, aggregation } = pruned.nodes[key];
+    // A user-defined function registered under a built-in name is not supported either.
+    if (
+      !activations.includes(activation) ||
+      act !== builtin_activations.get(activation)
+    ) {
+      throw new UnsupportedExportError(
+        `Activation function '${activation}' of node ${key} cannot be exported to ${format} ` +
+          `(supported: ${activations.join(", ")})`,
+      );
+    }
+    if (
+      !aggregations.includes(aggregation) ||
+      agg !== builtin_aggregations.get(aggregation)
+    ) {
+      throw new UnsupportedExportError(
+        `Aggregation function '${aggregation}' of node ${key} cannot be exported to ${format} ` +
+          `(supported: ${aggregations.join(", ")})`,
+      );
+    }
+    return { key, activation, aggregation, bias, response, links };
+  });
+
+  const evaluated = new Set(nodes.map((n) => n.key));
+  for (const k of net.output_nodes) {
+    if (!evaluated.has(k)) {
+      throw new UnsupportedExportError(
+        `Output node ${k} has no path from the inputs, so it has no value to export`,
+      );
+    }
+  }
+  return {
+    input_nodes: net.input_nodes,
+    output_nodes: net.output_nodes,
+    nodes,
+  };
+}
+
+// --- ONNX ---
+
+/**
+ * A minimal protocol buffers encoder, covering the field types ONNX models use.
+ */
+class ProtoWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(v) {
+    while (v > 127) {
+      this.bytes.push((v % 128) | 128);
+      v = Math.floor(v / 128);
+    }
+    this.bytes.push(v);
+  }
+
+  key(field, wire_type) {
+    this.varint(field * 8 + wire_type);
+  }
+
+  int(field, v) {
+    this.key(field, 0);
+    this.varint(v);
+  }
+
+  float(field, v) {
+    this.key(field, 5);
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, v, true);
+    this.bytes.push(...new Uint8Array(view.buffer));
+  }
+
+  raw(field, bytes) {
+    this.key(field, 2);
+    this.varint(bytes.length);
+    for (const b of bytes) this.bytes.push(b);
+  }
+
+  string(field, s) {
+    this.raw(field, new TextEncoder().encode(s));
+  }
+
+  message(field, build) {
+    const w = new ProtoWriter();
+    build(w);
+    this.raw(field, w.finish());
+  }
+
+  finish() {
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+// ONNX enum values.
+const ONNX_FLOAT = 1;
+const ONNX_DOUBLE = 11;
+const ATTR_FLOAT = 1;
+const ATTR_INT = 2;
+const ATTR_INTS = 7;
+const ONNX_INT_ATTRIBUTES = ["axis", "keepdims"];
+
+/**
+ * The activation functions with an ONNX equivalent. Each entry lists the ops applied to the
+ * node's pre-activation value, reproducing the library's definitions (including their input
+ * scaling and clamping): [op_type, constant operands, attributes]. "Square", "Cube" and
+ * "OneMinus" are not ONNX ops; they are expanded into Mul and Sub.
+ */
+const ONNX_ACTIVATIONS = {
+  sigmoid: [
+    ["Mul", [5.0]],
+    ["Clip", [-60.0, 60.0]],
+    ["Sigmoid", []],
+  ],
+  tanh: [
+    ["Mul", [2.5]],
+    ["Clip", [-60.0, 60.0]],
+    ["Tanh", []],
+  ],
+  sin: [
+    ["Mul", [5.0]],
+    ["Clip", [-60.0, 60.0]],
+    ["Sin", []],
+  ],
+  gauss: [
+    ["Clip", [-3.4, 3.4]],
+    ["Square", []],
+    ["Mul", [-5.0]],
+    ["Exp", []],
+  ],
+  relu: [["Relu", []]],
+  elu: [["Elu", [], { alpha: 1.0 }]],
+  lelu: [["LeakyRelu", [], { alpha: 0.005 }]],
+  selu: [
+    [
+      "Selu",
+      [],
+      {
+        alpha: 1.6732632423543772848170429916717,
+        gamma: 1.0507009873554804934193349852946,
+      },
+    ],
+  ],
+  softplus: [
+    ["Mul", [5.0]],
+    ["Clip", [-60.0, 60.0]],
+    ["Softplus", []],
+    ["Mul", [0.2]],
+  ],
+  identity: [],
+  clamped: [["Clip", [-1.0, 1.0]]],
+  log: [
+    ["Max", [1e-7]],
+    ["Log", []],
+  ],
+  exp: [
+    ["Clip", [-60.0, 60.0]],
+    ["Exp", []],
+  ],
+  abs: [["Abs", []]],
+  hat: [
+    ["Abs", []],
+    ["OneMinus", []],
+    ["Relu", []],
+  ],
+  square: [["Square", []]],
+  cube: [["Cube", []]],
+};
+
+// Aggregations computed with a Gemm, and those computed with an elementwise Mul and a reduction.
+const ONNX_GEMM_AGGREGATIONS = ["sum", "mean"];
+const ONNX_REDUCE_AGGREGATIONS = {
+  max: "ReduceMax",
+  min: "ReduceMin",
+  product: "ReduceProd",
+};
+
+/**
+ * Builds an ONNX model of a genome's feed-forward network, after pruning it.
+ *
+ * The graph has one input, "input", of shape [batch, num_inputs], and one output, "output",
+ * of shape [batch, num_outputs]. The input is split into columns, and every node gets its
+ * own ops: a Concat of its sources, a Gemm with its weights, response and bias (or, for the
+ * max, min and product aggregations, a Mul, a reduction, and a Mul and Add for the response
+ * and bias), and the ops of its activation function. Uses opset 13.
+ *
+ * @param {Object} genome - The genome to export.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {Object} [options={}]
+ * @param {string} [options.dtype="float32"] - The tensor type, "float32" or "float64" (which some
+ * runtimes do not implement for every op, e.g. Selu in ONNX Runtime).
+ * @returns {Uint8Array} The serialized ONNX ModelProto.
+ * @throws {UnsupportedExportError} If the network uses an unsupported function, is recurrent,
+ * or has an output that cannot be computed.
+ */
+export function genome_to_onnx(genome, config, options = {}) {
+  const { dtype = "float32" } = options;
+  if (dtype !== "float32" && dtype !== "float64") {
+    throw new Error(`Unexpected dtype: ${dtype}`);
+  }
+  const elem_type = dtype === "float32" ? ONNX_FLOAT : ONNX_DOUBLE;
+  const TypedArray = dtype === "float32" ? Float32Array : Float64Array;
+
+  const { input_nodes, output_nodes, nodes } = describe_network(
+    genome,
+    config,
+    "ONNX",
+    Object.keys(ONNX_ACTIVATIONS),
+    [...ONNX_GEMM_AGGREGATIONS, ...Object.keys(ONNX_REDUCE_AGGREGATIONS)],
+  );
+
+  const graph_nodes = [];
+  const initializers = [];
+  let counter = 0;
+  const fresh = (prefix) => `${prefix}_${counter++}`;
+
+  const op = (op_type, inputs, outputs, attributes = {}) =>
+    graph_nodes.push({ op_type, inputs, outputs, attributes });
+  const constant = (values, dims) => {
+    const name = fresh("const");
+    initializers.push({ name, dims, data: TypedArray.from(values) });
+    return name;
+  };
+  // Applies an op to `x` with constant operands, returning the output tensor name.
+  const apply = (x, op_type, operands = [], attributes = {}) => {
+    const y = fresh("t");
+    switch (op_type) {
+      case "Square":
+        op("Mul", [x, x], [y]);
+        break;
+      case "Cube": {
+        const x2 = fresh("t");
+        op("Mul", [x, x], [x2]);
+        op("Mul", [x2, x], [y]);
+        break;
+      }
+      case "OneMinus":
+        op("Sub", [constant([1.0], []), x], [y]);
+        break;
+      default:
+        op(
+          op_type,
+          [x, ...operands.map((v) => constant([v], []))],
+          [y],
+          attributes,
+        );
+    }
+    return y;
+  };
+
+  // Split the input into one column per input node.
+  const tensor = new Map();
+  input_nodes.forEach((k, i) => tensor.set(k, `input_${i}`));
+  op(
+    "Split",
+    ["input"],
+    input_nodes.map((_, i) => `input_${i}`),
+    { axis: 1 },
+  );
+
+  for (const n of nodes) {
+    const sources = fresh(`node${n.key}_sources`);
+    op(
+      "Concat",
+      n.links.map(([inode]) => tensor.get(inode)),
+      [sources],
+      { axis: 1 },
+    );
+    const weights = n.links.map(([, w]) => w);
+
+    let pre;
+    if (ONNX_GEMM_AGGREGATIONS.includes(n.aggregation)) {
+      // The response (and the mean's division) is folded into the weights.
+      const scale =
+        n.aggregation === "mean" ? n.response / n.links.length : n.response;
+      pre = fresh(`node${n.key}_pre`);
+      op(
+        "Gemm",
+        [
+          sources,
+          constant(
+            weights.map((w) => w * scale),
+            [weights.length, 1],
+          ),
+          constant([n.bias], [1]),
+        ],
+        [pre],
+      );
+    } else {
+      const products = fresh(`node${n.key}_products`);
+      op("Mul", [sources, constant(weights, [1, weights.length])], [products]);
+      const reduced = apply(
+        products,
+        ONNX_REDUCE_AGGREGATIONS[n.aggregation],
+        [],
+        { axes: [1], keepdims: 1 },
+      );
+      pre = apply(apply(reduced, "Mul", [n.response]), "Add", [n.bias]);
+    }
+
+    let out = pre;
+    for (const [op_type, operands, attributes] of ONNX_ACTIVATIONS[
+      n.activation
+    ]) {
+      out = apply(out, op_type, operands, attributes);
+    }
+    tensor.set(n.key, out);
+  }
+
+  op(
+    "Concat",
+    output_nodes.map((k) => tensor.get(k)),
+    ["output"],
+    { axis: 1 },
+  );
+
+  // Serialize the ModelProto.
+  const value_info = (w, name, width) => {
+    w.string(1, name);
+    w.message(2, (type) =>
+      type.message(1, (tensor_type) => {
+        tensor_type.int(1, elem_type);
+        tensor_type.message(2, (shape) => {
+          shape.message(1, (dim) => dim.string(2, "batch"));
+          shape.message(1, (dim) => dim.int(1, width));
+        });
+      }),
+    );
+  };
+
+  const model = new ProtoWriter();
+  model.int(1, 7); // ir_version
+  model.string(2, "NeatJS"); // producer_name
+  model.message(7, (graph) => {
+    for (const node of graph_nodes) {
+      graph.message(1, (w) => {
+        for (const input of node.inputs) w.string(1, input);
+        for (const output of node.outputs) w.string(2, output);
+        w.string(3, node.outputs[0]);
+        w.string(4, node.op_type);
+        for (const [name, value] of Object.entries(node.attributes)) {
+          w.message(5, (attr) => {
+            attr.string(1, name);
+            if (Array.isArray(value)) {
+              for (const v of value) attr.int(8, v);
+              attr.int(20, ATTR_INTS);
+            } else if (ONNX_INT_ATTRIBUTES.includes(name)) {
+              attr.int(3, value);
+              attr.int(20, ATTR_INT);
+            } else {
+              attr.float(2, value);
+              attr.int(20, ATTR_FLOAT);
+            }
+          });
+        }
+      });
+    }
+    graph.string(2, `genome_${genome.key}`);
+    for (const init of initializers) {
+      graph.message(5, (t) => {
+        for (const d of init.dims) t.int(1, d);
+        t.int(2, elem_type);
+        t.string(8, init.name);
+        t.raw(9, little_endian_bytes(init.data));
+      });
+    }
+    graph.message(11, (w) => value_info(w, "input", input_nodes.length));
+    graph.message(12, (w) => value_info(w, "output", output_nodes.length));
+  });
+  model.message(8, (opset) => {
+    opset.string(1, "");
+    opset.int(2, 13);
+  });
+  return model.finish();
+}
+
+/**
+ * @param {Float32Array|Float64Array} data
+ * @returns {Uint8Array} The values as little-endian bytes.
+ */
+function little_endian_bytes(data) {
+  const bytes = new Uint8Array(data.length * data.BYTES_PER_ELEMENT);
+  const view = new DataView(bytes.buffer);
+  data.forEach((v, i) => {
+    if (data.BYTES_PER_ELEMENT === 4) {
+      view.setFloat32(i * 4, v, true);
+    } else {
+      view.setFloat64(i * 8, v, true);
+    }
+  });
+  return bytes;
+}
+
+/**
+ * Saves the model generated by `genome_to_onnx`.
+ * @param {Object} genome - The genome to export.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {string} filename - The file name, e.g. "champion.onnx".
+ * @param {Object} [options={}] - The options of `genome_to_onnx`.
+ * @returns {Promise<void>}
+ */
+export function save_onnx(genome, config, filename, options = {}) {
+  return write_file(
+    filename,
+    genome_to_onnx(genome, config, options),
+    "application/octet-stream",
+  );
+}
+
+// --- TensorFlow.js ---
+
+/**
+ * The activation functions with a Keras equivalent, after scaling the pre-activation value
+ * (folded into the weights and bias). Unlike the library's definitions, the Keras ones do not
+ * clamp their input, which only matters where the function is already saturated.
+ */
+const TFJS_ACTIVATIONS = {
+  sigmoid: ["sigmoid", 5.0],
+  tanh: ["tanh", 2.5],
+  relu: ["relu", 1.0],
+  elu: ["elu", 1.0],
+  selu: ["selu", 1.0],
+  identity: ["linear", 1.0],
+};
+const TFJS_AGGREGATIONS = ["sum", "mean"];
+
+/**
+ * Builds a TensorFlow.js layers model of a genome's feed-forward network, after pruning it.
+ *
+ * Every node becomes a one-unit Dense layer whose input is the concatenation of the network
+ * input and the outputs of the hidden nodes it reads (with zero weights for unused input
+ * columns). The model input has shape [batch, num_inputs], and its output, [batch, num_outputs],
+ * concatenates the output nodes. Load it with
+ * `tf.loadLayersModel(tf.io.fromMemory({modelTopology, weightSpecs, weightData}))`, using
+ * `model.modelTopology`, `model.weightsManifest[0].weights` and `weight_data`, or save it
+ * with `save_tfjs_model` and load the saved JSON file.
+ *
+ * @param {Object} genome - The genome to export.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {string} [weights_path="weights.bin"] - The weights file name recorded in the model JSON.
+ * @returns {{model: Object, weight_data: ArrayBuffer}} The model JSON object and the float32 weights.
+ * @throws {UnsupportedExportError} If the network uses an unsupported function, is recurrent,
+ * or has an output that cannot be computed.
+ */
+export function genome_to_tfjs(genome, config, weights_path = "weights.bin") {
+  const { input_nodes, output_nodes, nodes } = describe_network(
+    genome,
+    config,
+    "TensorFlow.js",
+    Object.keys(TFJS_ACTIVATIONS),
+    TFJS_AGGREGATIONS,
+  );
+
+  const layers = [
+    {
+      class_name: "InputLayer",
+      config: {
+        batch_input_shape: [null, input_nodes.length],
+        dtype: "float32",
+        sparse: false,
+        name: "input",
+      },
+      name: "input",
+      inbound_nodes: [],
+    },
+  ];
+  const weight_specs = [];
+  const weight_values = [];
+  const inbound = (name) => [name, 0, 0, {}];
+
+  const layer_of = new Map();
+  for (const n of nodes) {
+    const [keras_activation, scale] = TFJS_ACTIVATIONS[n.activation];
+    const hidden_sources = [];
+    for (const [inode] of n.links) {
+      if (!input_nodes.includes(inode) && !hidden_sources.includes(inode)) {
+        hidden_sources.push(inode);
+      }
+    }
+
+    // Rows of the kernel: the network inputs, then the hidden sources.
+    const kernel = new Array(input_nodes.length + hidden_sources.length).fill(
+      0,
+    );
+    const factor =
+      (scale * n.response) / (n.aggregation === "mean" ? n.links.length : 1);
+    for (const [inode, w] of n.links) {
+      const row = input_nodes.includes(inode)
+        ? input_nodes.indexOf(inode)
+        : input_nodes.length + hidden_sources.indexOf(inode);
+      kernel[row] += w * factor;
+    }
+
+    let source = "input";
+    if (hidden_sources.length > 0) {
+      source = `concat_${n.key}`;
+      layers.push({
+        class_name: "Concatenate",
+        config: { axis: -1, name: source, trainable: false },
+        name: source,
+        inbound_nodes: [
+          [
+            inbound("input"),
+            ...hidden_sources.map((k) => inbound(layer_of.get(k))),
+          ],
+        ],
+      });
+    }
+
+    const name = `node_${n.key}`;
+    layers.push({
+      class_name: "Dense",
+      config: {
+        units: 1,
+        activation: keras_activation,
+        use_bias: true,
+        name,
+        trainable: false,
+        dtype: "float32",
+      },
+      name,
+      inbound_nodes: [[inbound(source)]],
+    });
+    layer_of.set(n.key, name);
+
+    weight_specs.push(
+      { name: `${name}/kernel`, shape: [kernel.length, 1], dtype: "float32" },
+      { name: `${name}/bias`, shape: [1], dtype: "float32" },
+    );
+    weight_values.push(...kernel, n.bias * scale);
+  }
+
+  let output_layer = layer_of.get(output_nodes[0]);
+  if (output_nodes.length > 1) {
+    output_layer = "output";
+    layers.push({
+      class_name: "Concatenate",
+      config: { axis: -1, name: "output", trainable: false },
+      name: "output",
+      inbound_nodes: [output_nodes.map((k) => inbound(layer_of.get(k)))],
+    });
+  }
+
+  const model = {
+    format: "layers-model",
+    generatedBy: "NeatJS",
+    convertedBy: null,
+    modelTopology: {
+      class_name: "Model",
+      config: {
+        name: `genome_${genome.key}`,
+        layers,
+        input_layers: [["input", 0, 0]],
+        output_layers: [[output_layer, 0, 0]],
+      },
+      keras_version: "tfjs-layers",
+      backend: "tensor_flow.js",
+    },
+    weightsManifest: [{ paths: [weights_path], weights: weight_specs }],
+  };
+  return { model, weight_data: Float32Array.from(weight_values).buffer };
+}
+
+/**
+ * Saves the model generated by `genome_to_tfjs` as `<basename>.json` and
+ * `<basename>.weights.bin`, which `tf.loadLayersModel` can load from the same location.
+ * @param {Object} genome - The genome to export.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {string} basename - The path and name of the files, without extension.
+ * @returns {Promise<void>}
+ */
+export async function save_tfjs_model(genome, config, basename) {
+  const weights_file = `${basename.split("/").pop()}.weights.bin`;
+  const { model, weight_data } = genome_to_tfjs(genome, config, weights_file);
+  await write_file(
+    `${basename}.json`,
+    JSON.stringify(model),
+    "application/json",
+  );
+  await write_file(
+    `${basename}.weights.bin`,
+    new Uint8Array(weight_data),
+    "application/octet-stream",
+  );
+}
@@ -1,9 +1,56 @@
 // nn.js
 
 /**
- * Implements the feed-forward neural network phenotype.
+ * Implements the feed-forward, recurrent and continuous-time recurrent
+ * neural network phenotypes.
  */
-import { feedForwardLayers } from "./graphs.js";
+import { sumAggregation } from "./aggregations.js";
+import { feedForwardLayers, requiredForOutput } from "./graphs.js";
+
+/**
+ * Activates a network once for every input row; see `FeedForwardNetwork.activateBatch`.
+ * @param {Object} net - A network with `input_nodes`, `output_nodes` and `_activate_into`.
+ * @param {number[][]|ArrayLike<number>} rows
+ * @param {number} [num_rows]
+ * @returns {number[][]|Float64Array}
+ */
+function activate_batch(net, rows, num_rows) {
+  const num_inputs = net.input_nodes.length;
+  const num_outputs = net.output_nodes.length;
+
+  if (ArrayBuffer.isView(rows)) {
+    if (num_rows === undefined) {
+      if (rows.length % num_inputs !== 0) {
+        throw new Error(
+          `Expected a multiple of ${num_inputs} input values, got ${rows.length}`,
+        );
+      }
+      num_rows = rows.length / num_inputs;
+    } else if (rows.length !== num_rows * num_inputs) {
+      throw new Error(
+        `Expected ${num_rows * num_inputs} input values for ${num_rows} rows, got ${rows.length}`,
+      );
+    }
+    const out = new Float64Array(num_rows * num_outputs);
+    for (let r = 0; r < num_rows; r++) {
+      net._activate_into(rows, r * num_inputs, out, r * num_outputs);
+    }
+    return out;
+  }
+
+  const out = new Array(rows.length);
+  for (let r = 0; r < rows.length; r++) {
+    const row = rows[r];
+    if (row.length !== num_inputs) {
+      throw new Error(
+        `Expected ${num_inputs} inputs, got ${row.length} in row ${r}`,
+      );
+    }
+    out[r] = new Array(num_outputs);
+    net._activate_into(row, 0, out[r], 0);
+  }
+  return out;
+}
 
 export class FeedForwardNetwork {
   /**
@@ -17,6 +64,10 @@ export class FeedForwardNetwork {
     this.output_nodes = output_nodes;
     this.node_evals = node_evals;
     this.values = new Map();
+    // Reusable arrays for the weighted inputs of each node.
+    this.scratch = node_evals.map(
+      ([, , , , , links]) => new Array(links.length),
+    );
   }
 
   /**
@@ -31,21 +82,48 @@ export class FeedForwardNetwork {
       );
     }
 
+    const outputs = new Array(this.output_nodes.length);
+    this._activate_into(inputs, 0, outputs, 0);
+    return outputs;
+  }
+
+  /**
+   * Activates the network once for every input row.
+   * @param {number[][]|ArrayLike<number>} rows - An array of input rows, or a flat typed
+   * array holding `num_rows` rows one after another.
+   * @param {number} [num_rows] - The number of rows in a flat typed array
+   * (by default, its length divided by the number of inputs).
+   * @returns {number[][]|Float64Array} One output row per input row: an array of arrays,
+   * or, for flat input, a flat `Float64Array` with the output rows one after another.
+   */
+  activateBatch(rows, num_rows) {
+    return activate_batch(this, rows, num_rows);
+  }
+
+  /**
+   * Activates the network with the inputs starting at `offset`, and writes the outputs
+   * into `out` starting at `out_offset`.
+   */
+  _activate_into(inputs, offset, out, out_offset) {
     this.values.clear();
     for (let i = 0; i < this.input_nodes.length; i++) {
-      this.values.set(this.input_nodes[i], inputs[i]);
+      this.values.set(this.input_nodes[i], inputs[offset + i]);
     }
 
-    for (const [node, act_func, agg_func, bias, response, links] of this
-      .node_evals) {
-      const node_inputs = links.map(
-        ([inode, weight]) => this.values.get(inode) * weight,
-      );
+    for (let i = 0; i < this.node_evals.length; i++) {
+      const [node, act_func, agg_func, bias, response, links] =
+        this.node_evals[i];
+      const node_inputs = this.scratch[i];
+      for (let j = 0; j < links.length; j++) {
+        node_inputs[j] = this.values.get(links[j][0]) * links[j][1];
+      }
       const s = agg_func(node_inputs);
       this.values.set(node, act_func(bias + response * s));
     }
 
-    return this.output_nodes.map((node) => this.values.get(node));
+    for (let i = 0; i < this.output_nodes.length; i++) {
+      out[out_offset + i] = this.values.get(this.output_nodes[i]);
+    }
   }
 
   /**
@@ -65,14 +143,20 @@ export class FeedForwardNetwork {
       genome_config.output_keys,
       connections.map((c) => c.key),
     );
+
+    // Group the incoming links of every node in a single pass over the connections.
+    const incoming = new Map();
+    for (const cg of connections) {
+      const [inode, onode] = cg.key;
+      if (!incoming.has(onode)) incoming.set(onode, []);
+      incoming.get(onode).push([inode, cg.weight]);
+    }
     const node_evals = [];
 
     for (const layer of layers) {
       for (const node_key of layer) {
         const node = genome.nodes[node_key];
-        const links = connections
-          .filter((cg) => cg.key[1] === node_key)
-          .map((cg) => [cg.key[0], cg.weight]);
+        const links = incoming.get(node_key) ?? [];
 
         const activation_func = genome_config.activation_defs.get(
           node.activation,
@@ -98,4 +182,502 @@ export class FeedForwardNetwork {
       node_evals,
     );
   }
+
+  /**
+   * @returns {CompiledFeedForwardNetwork} A compiled network that produces exactly the same outputs.
+   */
+  compile() {
+    return new CompiledFeedForwardNetwork(
+      this.input_nodes,
+      this.output_nodes,
+      this.node_evals,
+    );
+  }
+}
+
+/**
+ * A feed-forward network flattened into typed arrays for fast repeated activation.
+ * Node values live in a `Float64Array` addressed by integer indices, links are stored
+ * contiguously per node, and the built-in `sum` aggregation is evaluated inline;
+ * other aggregation functions receive a preallocated array instead of a new one per call.
+ * The outputs are identical to those of the equivalent `FeedForwardNetwork`.
+ */
+export class CompiledFeedForwardNetwork {
+  /**
+   * @param {number[]} input_nodes - List of input node keys.
+   * @param {number[]} output_nodes - List of output node keys.
+   * @param {Object[]} node_evals - The node evaluation tuples of `FeedForwardNetwork`.
+   */
+  constructor(input_nodes, output_nodes, node_evals) {
+    this.input_nodes = input_nodes;
+    this.output_nodes = output_nodes;
+    this.node_evals = node_evals;
+
+    // Inputs take the first indices, followed by the evaluated nodes in order.
+    const index = new Map();
+    input_nodes.forEach((k) => index.set(k, index.size));
+    for (const [node] of node_evals) {
+      if (!index.has(node)) index.set(node, index.size);
+    }
+    // Nodes that are read but never evaluated keep an undefined (NaN) value,
+    // as they do in `FeedForwardNetwork`.
+    this.first_unevaluated = index.size;
+    const index_of = (k) => {
+      if (!index.has(k)) index.set(k, index.size);
+      return index.get(k);
+    };
+
+    const n = node_evals.length;
+    this.node_index = new Int32Array(n);
+    this.activations = new Array(n);
+    this.aggregations = new Array(n);
+    this.is_sum = new Uint8Array(n);
+    this.scratch = new Array(n);
+    this.bias = new Float64Array(n);
+    this.response = new Float64Array(n);
+    this.link_start = new Int32Array(n + 1);
+
+    const sources = [];
+    const weights = [];
+    node_evals.forEach(([node, act, agg, bias, response, links], i) => {
+      this.node_index[i] = index_of(node);
+      this.activations[i] = act;
+      this.aggregations[i] = agg;
+      this.is_sum[i] = agg === sumAggregation ? 1 : 0;
+      this.scratch[i] = new Array(links.length);
+      this.bias[i] = bias;
+      this.response[i] = response;
+      this.link_start[i] = sources.length;
+      for (const [inode, weight] of links) {
+        sources.push(index_of(inode));
+        weights.push(weight);
+      }
+    });
+    this.link_start[n] = sources.length;
+    this.link_source = Int32Array.from(sources);
+    this.link_weight = Float64Array.from(weights);
+    this.output_index = Int32Array.from(output_nodes, index_of);
+
+    this.values = new Float64Array(index.size);
+    this.values.fill(NaN, this.first_unevaluated);
+  }
+
+  /**
+   * Activates the network with a given set of inputs.
+   * @param {ArrayLike<number>} inputs - The input values.
+   * @returns {number[]} An array of output values from the output nodes.
+   */
+  activate(inputs) {
+    const num_inputs = this.input_nodes.length;
+    if (inputs.length !== num_inputs) {
+      throw new Error(`Expected ${num_inputs} inputs, got ${inputs.length}`);
+    }
+
+    const outputs = new Array(this.output_index.length);
+    this._activate_into(inputs, 0, outputs, 0);
+    return outputs;
+  }
+
+  /**
+   * Activates the network once for every input row. Apart from the result,
+   * nothing is allocated.
+   * @param {number[][]|ArrayLike<number>} rows - An array of input rows, or a flat typed
+   * array holding `num_rows` rows one after another.
+   * @param {number} [num_rows] - The number of rows in a flat typed array
+   * (by default, its length divided by the number of inputs).
+   * @returns {number[][]|Float64Array} One output row per input row: an array of arrays,
+   * or, for flat input, a flat `Float64Array` with the output rows one after another.
+   */
+  activateBatch(rows, num_rows) {
+    return activate_batch(this, rows, num_rows);
+  }
+
+  /**
+   * Activates the network with the inputs starting at `offset`, and writes the outputs
+   * into `out` starting at `out_offset`.
+   */
+  _activate_into(inputs, offset, out, out_offset) {
+    const values = this.values;
+    for (let i = 0; i < this.input_nodes.length; i++) {
+      values[i] = inputs[offset + i];
+    }
+
+    const { link_start, link_source, link_weight } = this;
+    for (let i = 0; i < this.node_index.length; i++) {
+      const start = link_start[i];
+      const end = link_start[i + 1];
+      let s;
+      if (this.is_sum[i]) {
+        // Same semantics and order as `sumAggregation`: NaN terms are skipped.
+        s = 0;
+        for (let j = start; j < end; j++) {
+          const v = values[link_source[j]] * link_weight[j];
+          if (!Number.isNaN(v)) s += v;
+        }
+      } else {
+        const node_inputs = this.scratch[i];
+        for (let j = start; j < end; j++) {
+          node_inputs[j - start] = values[link_source[j]] * link_weight[j];
+        }
+        s = this.aggregations[i](node_inputs);
+      }
+      values[this.node_index[i]] = this.activations[i](
+        this.bias[i] + this.response[i] * s,
+      );
+    }
+
+    for (let i = 0; i < this.output_index.length; i++) {
+      const k = this.output_index[i];
+      // An output that is never evaluated has no value.
+      out[out_offset + i] = k < this.first_unevaluated ? values[k] : undefined;
+    }
+  }
+
+  /**
+   * Creates a new CompiledFeedForwardNetwork from a genome and configuration.
+   * @param {DefaultGenome} genome
+   * @param {Object} config - The main NEAT configuration object.
+   * @returns {CompiledFeedForwardNetwork}
+   */
+  static create(genome, config) {
+    return FeedForwardNetwork.create(genome, config).compile();
+  }
+}
+
+/**
+ * Implements the recurrent neural network phenotype.
+ * Node values are double-buffered, so every node reads the values produced by
+ * the previous activation step; this allows arbitrary cycles and self-loops.
+ */
+export class RecurrentNetwork {
+  /**
+   * @param {number[]} input_nodes - List of input node keys.
+   * @param {number[]} output_nodes - List of output node keys.
+   * @param {Object[]} node_evals - A list of tuples for evaluation: [node_key, activation_func, aggregation_func, bias, response, [links...]]
+   * where each link is a tuple: [input_node_key, weight].
+   */
+  constructor(input_nodes, output_nodes, node_evals) {
+    this.input_nodes = input_nodes;
+    this.output_nodes = output_nodes;
+    this.node_evals = node_evals;
+
+    this.values = [new Map(), new Map()];
+    for (const v of this.values) {
+      for (const k of [...input_nodes, ...output_nodes]) {
+        v.set(k, 0.0);
+      }
+      for (const [node, , , , , links] of node_evals) {
+        v.set(node, 0.0);
+        for (const [i] of links) {
+          v.set(i, 0.0);
+        }
+      }
+    }
+    this.active = 0;
+    // Reusable arrays for the weighted inputs of each node.
+    this.scratch = node_evals.map(
+      ([, , , , , links]) => new Array(links.length),
+    );
+  }
+
+  /**
+   * Resets all node values to zero, clearing the network's memory.
+   */
+  reset() {
+    for (const v of this.values) {
+      for (const k of v.keys()) {
+        v.set(k, 0.0);
+      }
+    }
+    this.active = 0;
+  }
+
+  /**
+   * Advances the network by one step with a given set of inputs.
+   * @param {number[]} inputs - An array of input values.
+   * @returns {number[]} An array of output values from the output nodes.
+   */
+  activate(inputs) {
+    if (inputs.length !== this.input_nodes.length) {
+      throw new Error(
+        `Expected ${this.input_nodes.length} inputs, got ${inputs.length}`,
+      );
+    }
+
+    const outputs = new Array(this.output_nodes.length);
+    this._activate_into(inputs, 0, outputs, 0);
+    return outputs;
+  }
+
+  /**
+   * Activates the network once for every input row, in order. The rows form a
+   * sequence: the state carries over from one row to the next, exactly as with
+   * repeated calls to `activate`. Call `reset` first to start from a clean state.
+   * @param {number[][]|ArrayLike<number>} rows - An array of input rows, or a flat typed
+   * array holding `num_rows` rows one after another.
+   * @param {number} [num_rows] - The number of rows in a flat typed array
+   * (by default, its length divided by the number of inputs).
+   * @returns {number[][]|Float64Array} One output row per input row: an array of arrays,
+   * or, for flat input, a flat `Float64Array` with the output rows one after another.
+   */
+  activateBatch(rows, num_rows) {
+    return activate_batch(this, rows, num_rows);
+  }
+
+  /**
+   * Advances the network one step with the inputs starting at `offset`, and writes
+   * the outputs into `out` starting at `out_offset`.
+   */
+  _activate_into(inputs, offset, out, out_offset) {
+    const ivalues = this.values[this.active];
+    const ovalues = this.values[1 - this.active];
+    this.active = 1 - this.active;
+
+    for (let i = 0; i < this.input_nodes.length; i++) {
+      ivalues.set(this.input_nodes[i], inputs[offset + i]);
+      ovalues.set(this.input_nodes[i], inputs[offset + i]);
+    }
+
+    for (let i = 0; i < this.node_evals.length; i++) {
+      const [node, act_func, agg_func, bias, response, links] =
+        this.node_evals[i];
+      const node_inputs = this.scratch[i];
+      for (let j = 0; j < links.length; j++) {
+        node_inputs[j] = ivalues.get(links[j][0]) * links[j][1];
+      }
+      const s = agg_func(node_inputs);
+      ovalues.set(node, act_func(bias + response * s));
+    }
+
+    for (let i = 0; i < this.output_nodes.length; i++) {
+      out[out_offset + i] = ovalues.get(this.output_nodes[i]);
+    }
+  }
+
+  /**
+   * Creates a new RecurrentNetwork from a genome and configuration.
+   * @param {DefaultGenome} genome
+   * @param {Object} config - The main NEAT configuration object.
+   * @returns {RecurrentNetwork}
+   */
+  static create(genome, config) {
+    const genome_config = config.genome_config;
+    const connections = Object.values(genome.connections).filter(
+      (cg) => cg.enabled,
+    );
+    const required = requiredForOutput(
+      genome_config.input_keys,
+      genome_config.output_keys,
+      connections.map((c) => c.key),
+    );
+
+    // Gather the expressed inputs of every node that contributes to the output.
+    const node_inputs = new Map();
+    for (const cg of connections) {
+      const [i, o] = cg.key;
+      if (!required.has(o) && !required.has(i)) continue;
+      if (!node_inputs.has(o)) node_inputs.set(o, []);
+      node_inputs.get(o).push([i, cg.weight]);
+    }
+
+    const node_evals = [];
+    for (const [node_key, links] of node_inputs.entries()) {
+      const node = genome.nodes[node_key];
+      const activation_func = genome_config.activation_defs.get(
+        node.activation,
+      );
+      const aggregation_func = genome_config.aggregation_defs.get(
+        node.aggregation,
+      );
+      node_evals.push([
+        node_key,
+        activation_func,
+        aggregation_func,
+        node.bias,
+        node.response,
+        links,
+      ]);
+    }
+
+    return new RecurrentNetwork(
+      genome_config.input_keys,
+      genome_config.output_keys,
+      node_evals,
+    );
+  }
+}
+
+/**
+ * Implements the continuous-time recurrent neural network (CTRNN) phenotype.
+ * Each node's state y follows dy/dt = (-y + activation(bias + response * input)) / time_constant,
+ * integrated with forward Euler steps of at most `time_step` seconds.
+ */
+export class CTRNN {
+  /**
+   * @param {number[]} input_nodes - List of input node keys.
+   * @param {number[]} output_nodes - List of output node keys.
+   * @param {Object[]} node_evals - A list of tuples for evaluation: [node_key, time_constant, activation_func, aggregation_func, bias, response, [links...]]
+   * where each link is a tuple: [input_node_key, weight].
+   */
+  constructor(input_nodes, output_nodes, node_evals) {
+    this.input_nodes = input_nodes;
+    this.output_nodes = output_nodes;
+    this.node_evals = node_evals;
+
+    this.values = [new Map(), new Map()];
+    for (const v of this.values) {
+      for (const k of [...input_nodes, ...output_nodes]) {
+        v.set(k, 0.0);
+      }
+      for (const [node, , , , , , links] of node_evals) {
+        v.set(node, 0.0);
+        for (const [i] of links) {
+          v.set(i, 0.0);
+        }
+      }
+    }
+    this.active = 0;
+    this.time_seconds = 0.0;
+  }
+
+  /**
+   * Resets all node states to zero and the simulated time to 0.
+   */
+  reset() {
+    for (const v of this.values) {
+      for (const k of v.keys()) {
+        v.set(k, 0.0);
+      }
+    }
+    this.active = 0;
+    this.time_seconds = 0.0;
+  }
+
+  /**
+   * Sets the state of a single node, e.g. to give the network an initial condition.
+   * @param {number} node_key - The key of the node.
+   * @param {number} value - The new state value.
+   */
+  set_node_value(node_key, value) {
+    for (const v of this.values) {
+      v.set(node_key, value);
+    }
+  }
+
+  /**
+   * Advances the simulation by `advance_time` seconds while holding the inputs constant.
+   * @param {number[]} inputs - An array of input values.
+   * @param {number} advance_time - The amount of simulated time to advance, in seconds.
+   * @param {number} time_step - The maximum integration step, in seconds.
+   * @returns {number[]} An array of output node states at the end of the interval.
+   */
+  advance(inputs, advance_time, time_step) {
+    if (inputs.length !== this.input_nodes.length) {
+      throw new Error(
+        `Expected ${this.input_nodes.length} inputs, got ${inputs.length}`,
+      );
+    }
+    if (!(time_step > 0)) {
+      throw new Error(`time_step must be a positive number, got ${time_step}`);
+    }
+
+    const final_time_seconds = this.time_seconds + advance_time;
+    while (this.time_seconds < final_time_seconds) {
+      const dt = Math.min(time_step, final_time_seconds - this.time_seconds);
+
+      const ivalues = this.values[this.active];
+      const ovalues = this.values[1 - this.active];
+      this.active = 1 - this.active;
+
+      for (let i = 0; i < this.input_nodes.length; i++) {
+        ivalues.set(this.input_nodes[i], inputs[i]);
+        ovalues.set(this.input_nodes[i], inputs[i]);
+      }
+
+      for (const [
+        node,
+        time_constant,
+        act_func,
+        agg_func,
+        bias,
+        response,
+        links,
+      ] of this.node_evals) {
+        const node_inputs = links.map(
+          ([inode, weight]) => ivalues.get(inode) * weight,
+        );
+        const s = agg_func(node_inputs);
+        const z = act_func(bias + response * s);
+        const y = ivalues.get(node);
+        ovalues.set(node, y + (dt / time_constant) * (-y + z));
+      }
+
+      this.time_seconds += dt;
+    }
+
+    const values = this.values[this.active];
+    return this.output_nodes.map((node) => values.get(node));
+  }
+
+  /**
+   * Creates a new CTRNN from a genome and configuration.
+   * Node time constants are taken from the node genes (see `CTRNNGenome`); genomes whose
+   * node genes have no `time_constant` attribute use the given fallback value instead.
+   * @param {DefaultGenome} genome
+   * @param {Object} config - The main NEAT configuration object.
+   * @param {number|null} [time_constant=null] - Fallback time constant for every node.
+   * @returns {CTRNN}
+   */
+  static create(genome, config, time_constant = null) {
+    const genome_config = config.genome_config;
+    const connections = Object.values(genome.connections).filter(
+      (cg) => cg.enabled,
+    );
+    const required = requiredForOutput(
+      genome_config.input_keys,
+      genome_config.output_keys,
+      connections.map((c) => c.key),
+    );
+
+    // Gather the expressed inputs of every node that contributes to the output.
+    const node_inputs = new Map();
+    for (const cg of connections) {
+      const [i, o] = cg.key;
+      if (!required.has(o) && !required.has(i)) continue;
+      if (!node_inputs.has(o)) node_inputs.set(o, []);
+      node_inputs.get(o).push([i, cg.weight]);
+    }
+
+    const node_evals = [];
+    for (const [node_key, links] of node_inputs.entries()) {
+      const node = genome.nodes[node_key];
+      const node_time_constant = node.time_constant ?? time_constant;
+      if (!(node_time_constant > 0)) {
+        throw new Error(
+          `Node ${node_key} needs a positive time constant, got ${node_time_constant}`,
+        );
+      }
+      const activation_func = genome_config.activation_defs.get(
+        node.activation,
+      );
+      const aggregation_func = genome_config.aggregation_defs.get(
+        node.aggregation,
+      );
+      node_evals.push([
+        node_key,
+        node_time_constant,
+        activation_func,
+        aggregation_func,
+        node.bias,
+        node.response,
+        links,
+      ]);
+    }
+
+    return new CTRNN(
+      genome_config.input_keys,
+      genome_config.output_keys,
+      node_evals,
+    );
+  }
 }
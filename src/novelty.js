@@ -0,0 +1,270 @@
+/**
+ * Novelty search: rewards genomes for behaving differently from the rest of the
+ * population and from the behaviors kept in a persistent archive, instead of (or in
+ * addition to) rewarding progress on the objective.
+ */
+import { random } from "./randomUtil.js";
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} The Euclidean distance between two behavior vectors.
+ */
+export function euclidean_distance(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(
+      `Behavior vectors differ in length: ${a.length} and ${b.length}`,
+    );
+  }
+  let d = 0;
+  for (let i = 0; i < a.length; i++) {
+    d += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(d);
+}
+
+/**
+ * Rescales values linearly to the range [0, 1]. Non-finite values become 0, as do
+ * all values if they are equal.
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function min_max_normalize(values) {
+  const finite = values.filter(Number.isFinite);
+  const lo = Math.min(...finite);
+  const span = Math.max(...finite) - lo;
+  return values.map((v) =>
+    Number.isFinite(v) && span > 0 ? (v - lo) / span : 0,
+  );
+}
+
+/**
+ * Scores genomes by novelty: the mean distance from a genome's behavior to its k nearest
+ * neighbors among the other members of the population and the archive.
+ *
+ * The fitness function assigns a behavior characterization vector (an array of numbers)
+ * to each genome's `behavior` property, alongside its `fitness`. After evaluation, the
+ * objective fitness is copied to `objective_fitness`, the novelty is stored in `novelty`,
+ * and `fitness` is replaced by a blend of the two, which drives stagnation and reproduction.
+ * `Population` runs this just before reproduction and restores the objective fitness
+ * afterwards, so reporters and the best genome always see the objective fitness.
+ *
+ * Archive insertion rules (`archive_add_mode`):
+ * - "threshold": genomes whose novelty exceeds `archive_threshold` are added. When
+ *   `dynamic_threshold` is set, the threshold is raised by 20% after a generation that adds
+ *   more than `threshold_raise_count` behaviors, and lowered by 5% after
+ *   `threshold_lower_generations` generations in a row that add none.
+ * - "random": every genome is added with probability `archive_add_probability`.
+ * - "top": the `archive_add_count` most novel genomes of each generation are added.
+ * - "none": the archive is not used.
+ */
+export class NoveltySearch {
+  /**
+   * @param {Object} [options={}]
+   * @param {number} [options.k=15] - The number of nearest neighbors averaged.
+   * @param {number} [options.novelty_weight=1.0] - The weight of novelty in the blended fitness,
+   * from 0 (objective fitness only) to 1 (novelty only).
+   * @param {boolean} [options.normalize=true] - Whether fitness and novelty are rescaled to [0, 1]
+   * within the population before they are blended.
+   * @param {string} [options.archive_add_mode="threshold"] - "threshold", "random", "top" or "none".
+   * @param {number} [options.archive_threshold=1.0] - The novelty needed to enter the archive in "threshold" mode.
+   * @param {boolean} [options.dynamic_threshold=true] - Whether the threshold adapts to the insertion rate.
+   * @param {number} [options.threshold_raise_count=4]
+   * @param {number} [options.threshold_lower_generations=5]
+   * @param {number} [options.archive_add_probability=0.01] - The insertion probability in "random" mode.
+   * @param {number} [options.archive_add_count=1] - The insertions per generation in "top" mode.
+   * @param {number|null} [options.max_archive_size=null] - When exceeded, the oldest entries are dropped.
+   * @param {function(number[], number[]): number} [options.distance=euclidean_distance] - The behavior distance.
+   */
+  constructor(options = {}) {
+    const {
+      k = 15,
+      novelty_weight = 1.0,
+      normalize = true,
+      archive_add_mode = "threshold",
+      archive_threshold = 1.0,
+      dynamic_threshold = true,
+      threshold_raise_count = 4,
+      threshold_lower_generations = 5,
+      archive_add_probability = 0.01,
+      archive_add_count = 1,
+      max_archive_size = null,
+      distance = euclidean_distance,
+    } = options;
+
+    if (!["threshold", "random", "top", "none"].includes(archive_add_mode)) {
+      throw new Error(`Unexpected archive_add_mode: ${archive_add_mode}`);
+    }
+    if (!(k >= 1)) {
+      throw new Error(`k must be at least 1, got ${k}`);
+    }
+    if (!(novelty_weight >= 0 && novelty_weight <= 1)) {
+      throw new Error(
+        `novelty_weight must be between 0 and 1, got ${novelty_weight}`,
+      );
+    }
+
+    this.k = k;
+    this.novelty_weight = novelty_weight;
+    this.normalize = normalize;
+    this.archive_add_mode = archive_add_mode;
+    this.archive_threshold = archive_threshold;
+    this.dynamic_threshold = dynamic_threshold;
+    this.threshold_raise_count = threshold_raise_count;
+    this.threshold_lower_generations = threshold_lower_generations;
+    this.archive_add_probability = archive_add_probability;
+    this.archive_add_count = archive_add_count;
+    this.max_archive_size = max_archive_size;
+    this.distance = distance;
+
+    // Archived behaviors, oldest first: {key, behavior}.
+    this.archive = [];
+    this.generations_without_addition = 0;
+  }
+
+  /**
+   * Converts the settings and the state (archive and adapted threshold) to a plain object,
+   * for checkpoints. The distance function is not included.
+   * @returns {Object} A plain object accepted by `NoveltySearch.from_object`.
+   */
+  toObject() {
+    return {
+      k: this.k,
+      novelty_weight: this.novelty_weight,
+      normalize: this.normalize,
+      archive_add_mode: this.archive_add_mode,
+      archive_threshold: this.archive_threshold,
+      dynamic_threshold: this.dynamic_threshold,
+      threshold_raise_count: this.threshold_raise_count,
+      threshold_lower_generations: this.threshold_lower_generations,
+      archive_add_probability: this.archive_add_probability,
+      archive_add_count: this.archive_add_count,
+      max_archive_size: this.max_archive_size,
+      archive: this.archive,
+      generations_without_addition: this.generations_without_addition,
+    };
+  }
+
+  /**
+   * Rebuilds a novelty search from the output of `toObject`.
+   * @param {Object} data
+   * @param {function(number[], number[]): number} [distance=euclidean_distance] - The behavior
+   * distance, which is not part of the saved data.
+   * @returns {NoveltySearch}
+   */
+  static from_object(data, distance = euclidean_distance) {
+    const { archive, generations_without_addition, ...options } = data;
+    const novelty_search = new NoveltySearch({ ...options, distance });
+    novelty_search.archive = archive.map(({ key, behavior }) => ({
+      key,
+      behavior: [...behavior],
+    }));
+    novelty_search.generations_without_addition = generations_without_addition;
+    return novelty_search;
+  }
+
+  /**
+   * Computes the novelty of each genome's behavior.
+   * @param {Object[]} genomes - The genomes of the population, each with a `behavior`.
+   * @returns {number[]} The novelty of each genome, in the same order.
+   */
+  compute_novelty(genomes) {
+    const behaviors = genomes.map((g) => {
+      if (!Array.isArray(g.behavior) && !ArrayBuffer.isView(g.behavior)) {
+        throw new Error(`Behavior not assigned to genome ${g.key}`);
+      }
+      return g.behavior;
+    });
+    const others = behaviors.concat(this.archive.map((a) => a.behavior));
+
+    return behaviors.map((b, i) => {
+      const distances = [];
+      for (let j = 0; j < others.length; j++) {
+        if (j === i) continue;
+        // Behaviors that cannot be compared (e.g. containing NaN) are skipped.
+        const d = this.distance(b, others[j]);
+        if (!Number.isNaN(d)) distances.push(d);
+      }
+      if (distances.length === 0) return 0;
+      distances.sort((x, y) => x - y);
+      const nearest = distances.slice(0, this.k);
+      return nearest.reduce((a, d) => a + d, 0) / nearest.length;
+    });
+  }
+
+  /**
+   * Scores the evaluated population: sets `objective_fitness`, `novelty` and the blended
+   * `fitness` of every genome, then updates the archive.
+   * @param {Map<any, Object>} population - The evaluated population.
+   * @returns {number} The number of behaviors added to the archive.
+   */
+  evaluate(population) {
+    const genomes = Array.from(population.values());
+    const novelty = this.compute_novelty(genomes);
+    const fitness = genomes.map((g) => g.fitness);
+
+    const w = this.novelty_weight;
+    const n = this.normalize ? min_max_normalize(novelty) : novelty;
+    const f = this.normalize ? min_max_normalize(fitness) : fitness;
+    genomes.forEach((g, i) => {
+      g.objective_fitness = fitness[i];
+      g.novelty = novelty[i];
+      g.fitness = (1 - w) * f[i] + w * n[i];
+    });
+
+    return this.update_archive(genomes, novelty);
+  }
+
+  /**
+   * Adds behaviors to the archive according to the insertion rule.
+   * @param {Object[]} genomes - The genomes of the population.
+   * @param {number[]} novelty - Their novelty, in the same order.
+   * @returns {number} The number of behaviors added.
+   */
+  update_archive(genomes, novelty) {
+    let chosen = [];
+    switch (this.archive_add_mode) {
+      case "threshold":
+        chosen = genomes.filter((g, i) => novelty[i] > this.archive_threshold);
+        break;
+      case "random":
+        chosen = genomes.filter(() => random() < this.archive_add_probability);
+        break;
+      case "top":
+        chosen = genomes
+          .map((g, i) => [g, novelty[i]])
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, this.archive_add_count)
+          .map(([g]) => g);
+        break;
+    }
+
+    for (const g of chosen) {
+      this.archive.push({ key: g.key, behavior: Array.from(g.behavior) });
+    }
+    if (
+      this.max_archive_size !== null &&
+      this.archive.length > this.max_archive_size
+    ) {
+      this.archive.splice(0, this.archive.length - this.max_archive_size);
+    }
+
+    if (this.archive_add_mode === "threshold" && this.dynamic_threshold) {
+      if (chosen.length > 0) {
+        this.generations_without_addition = 0;
+      } else {
+        this.generations_without_addition++;
+      }
+      if (chosen.length > this.threshold_raise_count) {
+        this.archive_threshold *= 1.2;
+      } else if (
+        this.generations_without_addition >= this.threshold_lower_generations
+      ) {
+        this.archive_threshold *= 0.95;
+        this.generations_without_addition = 0;
+      }
+    }
+
+    return chosen.length;
+  }
+}
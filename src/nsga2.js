@@ -0,0 +1,175 @@
+/**
+ * Multi-objective reproduction in the style of NSGA-II: genomes are ranked by Pareto
+ * front and crowding distance instead of by a single scalar fitness.
+ */
+import { DefaultReproduction } from "./reproduction.js";
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean} True if objective vector `a` Pareto-dominates `b`
+ * (at least as good in every objective and better in one; all objectives are maximized).
+ */
+export function dominates(a, b) {
+  let better = false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return false;
+    if (a[i] > b[i]) better = true;
+  }
+  return better;
+}
+
+/**
+ * Sorts objective vectors into Pareto fronts (fast non-dominated sorting).
+ * @param {number[][]} objectives
+ * @returns {number[][]} The fronts, best first, as arrays of indices into `objectives`.
+ */
+export function non_dominated_sort(objectives) {
+  const n = objectives.length;
+  const dominated = Array.from({ length: n }, () => []);
+  const domination_count = new Array(n).fill(0);
+  const fronts = [[]];
+
+  for (let p = 0; p < n; p++) {
+    for (let q = p + 1; q < n; q++) {
+      if (dominates(objectives[p], objectives[q])) {
+        dominated[p].push(q);
+        domination_count[q]++;
+      } else if (dominates(objectives[q], objectives[p])) {
+        dominated[q].push(p);
+        domination_count[p]++;
+      }
+    }
+  }
+  for (let p = 0; p < n; p++) {
+    if (domination_count[p] === 0) fronts[0].push(p);
+  }
+
+  let i = 0;
+  while (fronts[i].length > 0) {
+    const next = [];
+    for (const p of fronts[i]) {
+      for (const q of dominated[p]) {
+        if (--domination_count[q] === 0) next.push(q);
+      }
+    }
+    fronts.push(next);
+    i++;
+  }
+  fronts.pop();
+  return fronts;
+}
+
+/**
+ * Computes the crowding distance of each member of one front: the normalized size of the
+ * gap around it in objective space. Members at the extremes of any objective get Infinity.
+ * @param {number[][]} objectives - The objective vectors of the front's members.
+ * @returns {number[]} The crowding distances, in the same order.
+ */
+export function crowding_distance(objectives) {
+  const n = objectives.length;
+  const distance = new Array(n).fill(0);
+  if (n === 0) return distance;
+
+  for (let m = 0; m < objectives[0].length; m++) {
+    const order = [...objectives.keys()].sort(
+      (a, b) => objectives[a][m] - objectives[b][m],
+    );
+    const lo = objectives[order[0]][m];
+    const hi = objectives[order[n - 1]][m];
+    distance[order[0]] = Infinity;
+    distance[order[n - 1]] = Infinity;
+    if (hi === lo) continue;
+    for (let i = 1; i < n - 1; i++) {
+      distance[order[i]] +=
+        (objectives[order[i + 1]][m] - objectives[order[i - 1]][m]) / (hi - lo);
+    }
+  }
+  return distance;
+}
+
+/**
+ * A reproduction scheme for genomes with several objectives. The fitness function assigns
+ * an array of objective values to each genome's `objectives` property (all maximized, so
+ * negate any objective to be minimized, such as `-genome.size()`), as well as a scalar
+ * `fitness`, which is still used for stagnation and for the fitness termination check.
+ *
+ * Before reproducing, the population is ranked by Pareto front (`pareto_rank`, 0 being the
+ * non-dominated front) and crowding distance (`crowding_distance`). Speciation is kept:
+ * within each species, elites and parents are the members with the best rank, ties going
+ * to the less crowded; crossover takes unmatched genes from the better-ranked parent; and
+ * each species' offspring count follows its members' mean rank.
+ * The non-dominated front is sent to the reporters' `pareto_front` event.
+ */
+export class NSGA2Reproduction extends DefaultReproduction {
+  /**
+   * @param {Object} config - The reproduction configuration object.
+   * @param {Object} reporters - The reporter set instance.
+   * @param {Object} stagnation - The stagnation handler instance.
+   */
+  constructor(config, reporters, stagnation) {
+    super(config, reporters, stagnation);
+    this.pareto_front = [];
+  }
+
+  /**
+   * Ranks genomes by Pareto front and crowding distance, setting their `pareto_rank`,
+   * `crowding_distance` and `pareto_fitness` (a scalar in which a better front always
+   * outweighs a larger crowding distance).
+   * @param {Object[]} genomes
+   * @returns {Object[]} The non-dominated front.
+   */
+  rank(genomes) {
+    const objectives = genomes.map((g) => {
+      if (!Array.isArray(g.objectives)) {
+        throw new Error(`Objectives not assigned to genome ${g.key}`);
+      }
+      if (g.objectives.length !== genomes[0].objectives.length) {
+        throw new Error(
+          `Genome ${g.key} has ${g.objectives.length} objectives, expected ${genomes[0].objectives.length}`,
+        );
+      }
+      return g.objectives;
+    });
+
+    const fronts = non_dominated_sort(objectives);
+    fronts.forEach((front, rank) => {
+      const distances = crowding_distance(front.map((i) => objectives[i]));
+      front.forEach((i, j) => {
+        const g = genomes[i];
+        g.pareto_rank = rank;
+        g.crowding_distance = distances[j];
+        // The crowding term is in [0, 0.5], so it only breaks ties within a front.
+        const c =
+          distances[j] === Infinity ? 1 : distances[j] / (1 + distances[j]);
+        g.pareto_fitness = fronts.length - rank + 0.5 * c;
+      });
+    });
+
+    return fronts.length > 0 ? fronts[0].map((i) => genomes[i]) : [];
+  }
+
+  selection_fitness(genome) {
+    return genome.pareto_fitness;
+  }
+
+  /**
+   * Ranks the evaluated population, reports its Pareto front, and creates the next
+   * generation as `DefaultReproduction.reproduce` does, selecting by rank.
+   * @param {Object} config - The main NEAT configuration object.
+   * @param {Object} species - The species set instance.
+   * @param {number} pop_size - The target population size.
+   * @param {number} generation - The current generation number.
+   * @returns {Map<any, Object>} A map of the new generation of genomes.
+   */
+  reproduce(config, species, pop_size, generation) {
+    const genomes = [];
+    for (const s of species.species.values()) {
+      genomes.push(...s.members.values());
+    }
+    this.pareto_front = this.rank(genomes);
+    this.reporters.pareto_front(config, generation, this.pareto_front);
+
+    return super.reproduce(config, species, pop_size, generation);
+  }
+}
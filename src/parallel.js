@@ -0,0 +1,194 @@
+/**
+ * Runs evaluation functions in parallel using Node.js worker threads.
+ * This module is Node-only; see `webParallel.js` for the browser equivalent.
+ */
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { Worker } from "node:worker_threads";
+import { apply_evaluation_result, serialize_config } from "./serialization.js";
+
+/**
+ * Converts a module path (absolute, relative to the working directory, or a URL)
+ * into a URL string that can be imported from a worker thread.
+ * @param {string|URL} module_path
+ * @returns {string}
+ */
+function to_module_url(module_path) {
+  if (module_path instanceof URL) return module_path.href;
+  if (/^(file|data):/.test(module_path)) return module_path;
+  return pathToFileURL(path.resolve(module_path)).href;
+}
+
+/**
+ * Evaluates the genomes of a population on a pool of worker threads.
+ *
+ * The evaluation module must export an `eval_genome(genome, config)` function (as a named
+ * or default export) that returns the genome's fitness, or a Promise of it. For novelty search
+ * or multi-objective reproduction, it also sets the genome's `behavior` or `objectives`, which
+ * are copied back to the population's genome.
+ * Inside the worker, `config` holds the main NEAT parameters plus `genome_type` and a
+ * `genome_config` rebuilt with `genome_type.parseConfig`, so
+ * `FeedForwardNetwork.create(genome, config)` works as usual.
+ * The built-in genome types are found by name; a custom genome type must also be exported
+ * from the evaluation module under its class name. User-added activation or aggregation
+ * functions must be registered again by the evaluation module.
+ */
+export class ParallelEvaluator {
+  /**
+   * @param {number} num_workers - The number of worker threads to use.
+   * @param {string|URL} eval_module - Path or URL of the module exporting `eval_genome`.
+   * @param {number|null} [timeout=null] - Maximum seconds to wait for a single genome, or null for no limit.
+   */
+  constructor(num_workers, eval_module, timeout = null) {
+    if (!Number.isInteger(num_workers) || num_workers < 1) {
+      throw new Error(
+        `num_workers must be a positive integer, got ${num_workers}`,
+      );
+    }
+    this.num_workers = num_workers;
+    this.eval_module = to_module_url(eval_module);
+    this.timeout = timeout;
+
+    this.workers = [];
+    this.pool_config = null;
+
+    // Allow the method to be passed directly to `Population.run`.
+    this.evaluate = this.evaluate.bind(this);
+  }
+
+  /**
+   * Starts a fresh pool of workers for the given configuration.
+   * @param {Object} config - The main NEAT configuration object.
+   */
+  _start_pool(config) {
+    this.close();
+    const workerData = {
+      eval_module: this.eval_module,
+      ...serialize_config(config),
+    };
+    for (let i = 0; i < this.num_workers; i++) {
+      const worker = new Worker(
+        new URL("./parallelWorker.js", import.meta.url),
+        {
+          workerData,
+        },
+      );
+      // Remember failures that happen while no genome is being evaluated.
+      worker.on("error", (err) => {
+        worker.failure = err;
+      });
+      // Idle workers must not keep the process alive.
+      worker.unref();
+      this.workers.push(worker);
+    }
+    this.pool_config = config;
+  }
+
+  /**
+   * Sends one genome to a worker and waits for the results of its evaluation.
+   * @param {Worker} worker
+   * @param {Object} genome
+   * @returns {Promise<Object>} The fitness and other evaluation results (see `evaluation_result`).
+   */
+  _evaluate_on(worker, genome) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const cleanup = () => {
+        if (timer !== null) clearTimeout(timer);
+        worker.off("message", on_message);
+        worker.off("error", on_error);
+        worker.off("exit", on_exit);
+      };
+      const on_message = (msg) => {
+        cleanup();
+        if (msg.error !== undefined) {
+          reject(
+            new Error(
+              `Evaluation of genome ${genome.key} failed: ${msg.error}`,
+            ),
+          );
+        } else {
+          resolve(msg.result);
+        }
+      };
+      const on_error = (err) => {
+        cleanup();
+        reject(err);
+      };
+      const on_exit = (code) => {
+        cleanup();
+        reject(new Error(`Worker exited with code ${code}`));
+      };
+
+      if (worker.failure) {
+        reject(worker.failure);
+        return;
+      }
+      worker.on("message", on_message);
+      worker.on("error", on_error);
+      worker.on("exit", on_exit);
+      if (this.timeout !== null) {
+        timer = setTimeout(() => {
+          cleanup();
+          reject(
+            new Error(
+              `Evaluation of genome ${genome.key} timed out after ${this.timeout} seconds`,
+            ),
+          );
+        }, this.timeout * 1000);
+      }
+      worker.postMessage({ genome });
+    });
+  }
+
+  /**
+   * Evaluates every genome in the population, assigning each one's `fitness`, as well as
+   * the `behavior` or `objectives` the evaluation function set on the worker's copy.
+   * Has the signature expected by `Population.run`.
+   * @param {Map<any, Object>} genomes - The population as a Map of {genomeId: genome}.
+   * @param {Object} config - The main NEAT configuration object.
+   * @param {function(number): void} [report_progress] - Optional progress callback.
+   * @returns {Promise<void>}
+   */
+  async evaluate(genomes, config, report_progress = () => {}) {
+    if (this.pool_config !== config || this.workers.length === 0) {
+      this._start_pool(config);
+    }
+
+    const queue = Array.from(genomes.values());
+    let num_evaluated = 0;
+
+    const drain = async (worker) => {
+      while (queue.length > 0) {
+        const genome = queue.shift();
+        apply_evaluation_result(
+          genome,
+          await this._evaluate_on(worker, genome),
+        );
+        report_progress(++num_evaluated);
+      }
+    };
+
+    for (const worker of this.workers) worker.ref();
+    try {
+      await Promise.all(this.workers.map(drain));
+    } catch (e) {
+      // A failed or timed-out worker may still be busy; start over next time.
+      this.close();
+      throw e;
+    } finally {
+      for (const worker of this.workers) worker.unref();
+    }
+  }
+
+  /**
+   * Terminates all worker threads.
+   */
+  close() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+    this.pool_config = null;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Worker thread entry point for `ParallelEvaluator`.
+ * Rebuilds the configuration once, then evaluates each genome it is sent.
+ */
+import { parentPort, workerData } from "node:worker_threads";
+import { deserialize_config, evaluation_result } from "./serialization.js";
+
+const eval_module = await import(workerData.eval_module);
+const eval_genome = eval_module.eval_genome ?? eval_module.default;
+if (typeof eval_genome !== "function") {
+  throw new Error(
+    `Module ${workerData.eval_module} must export an 'eval_genome' function.`,
+  );
+}
+
+// A custom genome type is looked up among the evaluation module's exports.
+const config = deserialize_config(workerData, eval_module);
+
+parentPort.on("message", async ({ genome }) => {
+  try {
+    const g = config.genome_type.from_object(genome, config.genome_config);
+    const fitness = await eval_genome(g, config);
+    parentPort.postMessage({ result: evaluation_result(g, fitness) });
+  } catch (e) {
+    parentPort.postMessage({ error: e && e.message ? e.message : String(e) });
+  }
+});
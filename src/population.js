@@ -15,6 +15,15 @@ export class CompleteExtinctionException extends Error {
   }
 }
 
+/**
+ * Returns a promise that resolves on a later turn of the event loop, giving pending
+ * timers, rendering (e.g. the p5.js `draw` loop) and I/O a chance to run.
+ * @returns {Promise<void>}
+ */
+function yield_to_event_loop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
 /**
  * This class implements the core evolution algorithm:
  * 1. Evaluate fitness of all genomes.
@@ -29,7 +38,7 @@ export class Population {
    * @param {[Map<any, Object>, Object, number]} [initial_state=null] - Optional initial state [population, species, generation].
    */
   constructor(config, initial_state = null) {
-    this.reporters = new ReporterSet();
+    this.reporters = config.reporters ?? new ReporterSet();
     this.config = config;
 
     // The main config should have instances of the components, not just their configs.
@@ -72,6 +81,22 @@ export class Population {
     }
 
     this.best_genome = null;
+    this.novelty_search = null;
+  }
+
+  /**
+   * Enables (or, with null, disables) novelty search. The fitness function must then
+   * assign a `behavior` vector as well as a `fitness` to every genome in each generation.
+   * Reproduction (including stagnation and the species fitness it computes) uses the
+   * blended fitness computed by the novelty search. Everywhere else, `fitness` is the
+   * objective fitness: the reporters, the best genome and the fitness termination check
+   * see it, and each genome's `novelty` is available once the next generation is created.
+   * The novelty search is also recorded on the configuration, so checkpoints include it.
+   * @param {NoveltySearch|null} novelty_search - The novelty search instance.
+   */
+  set_novelty_search(novelty_search) {
+    this.novelty_search = novelty_search;
+    this.config.novelty_search = novelty_search;
   }
 
   /**
@@ -93,98 +118,190 @@ export class Population {
   /**
    * Runs the NEAT algorithm for at most n generations.
    *
-   * The user-provided `fitness_function` must be an `async` function that takes two arguments:
+   * The user-provided `fitness_function` may be an `async` function (or return a Promise);
+   * it is awaited before the generation's results are gathered. It takes three arguments:
    *   1. The population as a Map of {genomeId: genome}.
    *   2. The current configuration object.
+   *   3. A `report_progress(num_evaluated)` callback that may be called while evaluation is
+   *      still going; each call is forwarded to the reporters' `evaluation_progress` event.
    *
    * It must assign a `fitness` property to each genome in the population map.
+   * Control is handed back to the event loop between generations, so a page stays
+   * responsive during a run; pass `WebWorkerEvaluator.evaluate` (or, in Node,
+   * `ParallelEvaluator.evaluate`) to move the evaluation itself off the main thread.
    *
-   * @param {function(Map<any, Object>, Object): Promise<void>} fitness_function - The async fitness evaluation function.
+   * @param {function(Map<any, Object>, Object, function(number): void): (Promise<void>|void)} fitness_function - The fitness evaluation function.
    * @param {number|null} [n=null] - The number of generations to run. If null, runs until a solution is found or extinction occurs.
    * @returns {Promise<Object>} The best genome found during the run.
    */
-  run(fitness_function, n = null) {
-    if (this.config.no_fitness_termination && n === null) {
-      throw new Error(
-        "Cannot have no generation limit with no fitness termination.",
+  async run(fitness_function, n = null) {
+    this._check_generation_limit(n);
+
+    let k = 0;
+    while (n === null || k < n) {
+      k++;
+      this.reporters.start_generation(this.generation);
+
+      // Evaluate all genomes using the user-provided function.
+      await fitness_function(
+        this.population,
+        this.config,
+        this._progress_callback(),
       );
+
+      if (this._finish_generation()) break;
+
+      // Hand control back to the event loop between generations.
+      await yield_to_event_loop();
     }
 
+    return this._finish_run();
+  }
+
+  /**
+   * Synchronous variant of `run`, for fitness functions that do all their work before returning.
+   * Takes the same arguments as `run`, but the fitness function must not return a Promise.
+   *
+   * @param {function(Map<any, Object>, Object, function(number): void): void} fitness_function - The synchronous fitness evaluation function.
+   * @param {number|null} [n=null] - The number of generations to run. If null, runs until a solution is found or extinction occurs.
+   * @returns {Object} The best genome found during the run.
+   */
+  run_sync(fitness_function, n = null) {
+    this._check_generation_limit(n);
+
     let k = 0;
     while (n === null || k < n) {
       k++;
       this.reporters.start_generation(this.generation);
 
-      // Evaluate all genomes using the user-provided async function.
-      fitness_function(this.population, this.config);
-
-      // Gather and report statistics.
-      let best = null;
-      for (const g of this.population.values()) {
-        if (g.fitness === null || g.fitness === undefined) {
-          throw new Error(`Fitness not assigned to genome ${g.key}`);
-        }
-        if (best === null || g.fitness > best.fitness) {
-          best = g;
-        }
-      }
-      this.reporters.post_evaluate(
-        this.config,
+      const result = fitness_function(
         this.population,
-        this.species,
-        best,
+        this.config,
+        this._progress_callback(),
       );
+      if (result && typeof result.then === "function") {
+        throw new Error(
+          "run_sync() was given a fitness function that returned a Promise; use run() instead.",
+        );
+      }
+
+      if (this._finish_generation()) break;
+    }
+
+    return this._finish_run();
+  }
 
-      // Track the best genome ever seen.
-      if (
-        this.best_genome === null ||
-        best.fitness > this.best_genome.fitness
-      ) {
-        this.best_genome = best;
+  /**
+   * @param {number|null} n - The requested number of generations.
+   */
+  _check_generation_limit(n) {
+    if (this.config.no_fitness_termination && n === null) {
+      throw new Error(
+        "Cannot have no generation limit with no fitness termination.",
+      );
+    }
+  }
+
+  /**
+   * @returns {function(number): void} A callback forwarding evaluation progress to the reporters.
+   */
+  _progress_callback() {
+    const total = this.population.size;
+    return (num_evaluated) =>
+      this.reporters.evaluation_progress(num_evaluated, total);
+  }
+
+  /**
+   * Gathers the results of the current generation's evaluation and, unless a solution
+   * was found, creates and speciates the next generation.
+   * @returns {boolean} True if a solution was found and the run should stop.
+   */
+  _finish_generation() {
+    for (const g of this.population.values()) {
+      if (g.fitness === null || g.fitness === undefined) {
+        throw new Error(`Fitness not assigned to genome ${g.key}`);
       }
+    }
 
-      // Check for a solution.
-      if (!this.config.no_fitness_termination) {
-        const fitnesses = Array.from(this.population.values()).map(
-          (g) => g.fitness,
-        );
-        const fv = this.fitness_criterion(fitnesses);
-        if (fv >= this.config.fitness_threshold) {
-          this.reporters.found_solution(this.config, this.generation, best);
-          break;
-        }
+    // Gather and report statistics.
+    let best = null;
+    for (const g of this.population.values()) {
+      if (best === null || g.fitness > best.fitness) {
+        best = g;
       }
+    }
+    this.reporters.post_evaluate(
+      this.config,
+      this.population,
+      this.species,
+      best,
+    );
 
-      // Create the next generation.
-      this.population = this.reproduction.reproduce(
-        this.config,
-        this.species,
-        this.config.pop_size,
-        this.generation,
-      );
+    // Track the best genome ever seen.
+    if (this.best_genome === null || best.fitness > this.best_genome.fitness) {
+      this.best_genome = best;
+    }
 
-      // Check for complete extinction.
-      if (this.species.species.size === 0) {
-        this.reporters.complete_extinction();
-        if (this.config.reset_on_extinction) {
-          this.population = this.reproduction.create_new(
-            this.config.genome_type,
-            this.config.genome_config,
-            this.config.pop_size,
-          );
-        } else {
-          throw new CompleteExtinctionException();
-        }
+    // Check for a solution.
+    if (!this.config.no_fitness_termination) {
+      const fitnesses = Array.from(this.population.values()).map(
+        (g) => g.fitness,
+      );
+      const fv = this.fitness_criterion(fitnesses);
+      if (fv >= this.config.fitness_threshold) {
+        this.reporters.found_solution(this.config, this.generation, best);
+        return true;
       }
+    }
 
-      // Speciate the new population.
-      this.species.speciate(this.config, this.population, this.generation);
+    // With novelty search, selection uses the blended score while the next generation
+    // is created; `fitness` then goes back to the objective fitness everywhere else.
+    const evaluated = this.population;
+    if (this.novelty_search !== null) {
+      this.novelty_search.evaluate(evaluated);
+    }
 
-      this.reporters.end_generation(this.config, this.population, this.species);
+    // Create the next generation.
+    this.population = this.reproduction.reproduce(
+      this.config,
+      this.species,
+      this.config.pop_size,
+      this.generation,
+    );
 
-      this.generation++;
+    if (this.novelty_search !== null) {
+      for (const g of evaluated.values()) {
+        g.fitness = g.objective_fitness;
+      }
     }
 
+    // Check for complete extinction.
+    if (this.species.species.size === 0) {
+      this.reporters.complete_extinction();
+      if (this.config.reset_on_extinction) {
+        this.population = this.reproduction.create_new(
+          this.config.genome_type,
+          this.config.genome_config,
+          this.config.pop_size,
+        );
+      } else {
+        throw new CompleteExtinctionException();
+      }
+    }
+
+    // Speciate the new population.
+    this.species.speciate(this.config, this.population, this.generation);
+
+    this.reporters.end_generation(this.config, this.population, this.species);
+
+    this.generation++;
+    return false;
+  }
+
+  /**
+   * @returns {Object} The best genome found during the run.
+   */
+  _finish_run() {
     if (this.config.no_fitness_termination) {
       this.reporters.found_solution(
         this.config,
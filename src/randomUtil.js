@@ -1,12 +1,76 @@
 /**
  * A collection of random number generation utilities, mimicking Python's `random` module.
+ * All randomness is drawn from a single seedable generator (mulberry32), so a run can be
+ * reproduced exactly by calling `seed` before it starts, or by restoring a saved state.
  */
 
+// --- Generator state ---
+// The 32-bit mulberry32 state; seeded from Math.random until `seed` is called.
+let _state = (Math.random() * 4294967296) >>> 0;
+
+/**
+ * Advances the generator and returns its next output.
+ * @returns {number} A float in the range [0.0, 1.0).
+ */
+function next() {
+  _state = (_state + 0x6d2b79f5) | 0;
+  let t = _state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Hashes a seed value of any type into a 32-bit integer (FNV-1a over its string form).
+ * @param {*} value
+ * @returns {number}
+ */
+function hashSeed(value) {
+  const str = String(value);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Initializes the generator. Equal seeds always produce the same sequence of values.
+ * @param {number|string} value - The seed.
+ */
+export const seed = (value) => {
+  _state = hashSeed(value);
+  _z1 = null;
+  _generate = false;
+};
+
+/**
+ * Returns an object capturing the generator's current internal state.
+ * Passing it to `setstate` restores the state. It is plain data and can be serialized to JSON.
+ * @returns {{state: number, gauss_next: number|null, gauss_generate: boolean}}
+ */
+export const getstate = () => ({
+  state: _state,
+  gauss_next: _z1,
+  gauss_generate: _generate,
+});
+
+/**
+ * Restores a state previously obtained from `getstate`.
+ * @param {{state: number, gauss_next: number|null, gauss_generate: boolean}} state
+ */
+export const setstate = (state) => {
+  _state = state.state | 0;
+  _z1 = state.gauss_next;
+  _generate = state.gauss_generate;
+};
+
 /**
  * Returns a random float in the range [0.0, 1.0).
  * @returns {number}
  */
-export const random = () => Math.random();
+export const random = () => next();
 
 /**
  * Returns a random floating point number N such that min <= N <= max.
@@ -14,7 +78,7 @@ export const random = () => Math.random();
  * @param {number} max - The maximum value.
  * @returns {number}
  */
-export const uniform = (min, max) => min + Math.random() * (max - min);
+export const uniform = (min, max) => min + next() * (max - min);
 
 /**
  * Returns a random integer N such that min <= N <= max.
@@ -22,8 +86,7 @@ export const uniform = (min, max) => min + Math.random() * (max - min);
  * @param {number} max - The maximum integer value.
  * @returns {number}
  */
-export const randint = (min, max) =>
-  Math.floor(Math.random() * (max - min + 1)) + min;
+export const randint = (min, max) => Math.floor(next() * (max - min + 1)) + min;
 
 /**
  * Returns a random element from a non-empty array.
@@ -34,7 +97,18 @@ export const choice = (arr) => {
   if (!arr || arr.length === 0) {
     throw new Error("Cannot choose from an empty array.");
   }
-  return arr[Math.floor(Math.random() * arr.length)];
+  return arr[Math.floor(next() * arr.length)];
+};
+
+/**
+ * Shuffles an array in place (Fisher-Yates).
+ * @param {Array} arr - The array to shuffle.
+ */
+export const shuffle = (arr) => {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
 };
 
 // --- Gaussian (Normal) Distribution ---
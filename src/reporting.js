@@ -35,6 +35,10 @@ export class ReporterSet {
       r.end_generation(config, population, species_set);
   }
 
+  evaluation_progress(num_evaluated, total) {
+    for (const r of this.reporters) r.evaluation_progress(num_evaluated, total);
+  }
+
   post_evaluate(config, population, species, best_genome) {
     for (const r of this.reporters)
       r.post_evaluate(config, population, species, best_genome);
@@ -57,6 +61,10 @@ export class ReporterSet {
     for (const r of this.reporters) r.species_stagnant(sid, species);
   }
 
+  pareto_front(config, generation, front) {
+    for (const r of this.reporters) r.pareto_front(config, generation, front);
+  }
+
   info(msg) {
     for (const r of this.reporters) r.info(msg);
   }
@@ -68,11 +76,13 @@ export class ReporterSet {
 export class BaseReporter {
   start_generation(generation) {}
   end_generation(config, population, species_set) {}
+  evaluation_progress(num_evaluated, total) {}
   post_evaluate(config, population, species, best_genome) {}
   post_reproduction(config, population, species) {}
   complete_extinction() {}
   found_solution(config, generation, best) {}
   species_stagnant(sid, species) {}
+  pareto_front(config, generation, front) {}
   info(msg) {}
 }
 
@@ -184,6 +194,19 @@ export class StdOutReporter extends BaseReporter {
     }
   }
 
+  pareto_front(config, generation, front) {
+    console.log(`Pareto front: ${front.length} genomes`);
+    if (this.show_species_detail) {
+      console.table(
+        front.map((g) => ({
+          ID: g.key,
+          objectives: g.objectives.map((v) => v.toFixed(3)).join(", "),
+          size: `[${g.size()}]`,
+        })),
+      );
+    }
+  }
+
   info(msg) {
     console.log(msg);
   }
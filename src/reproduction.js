@@ -3,6 +3,7 @@
  * asexual reproduction from parents.
  */
 import { DefaultClassConfig, ConfigParameter } from "./config.js";
+import { InnovationTracker } from "./innovation.js";
 import { mean } from "./mathUtil.js";
 import { choice } from "./randomUtil.js"; // Assuming you have `choice` in random.js
 
@@ -22,6 +23,7 @@ export class DefaultReproduction {
     this.stagnation = stagnation;
     this.genome_indexer = 1;
     this.ancestors = new Map();
+    this.innovation_tracker = new InnovationTracker();
   }
 
   /**
@@ -53,6 +55,9 @@ export class DefaultReproduction {
    * @returns {Map<any, Object>} A map of new genome instances.
    */
   create_new(genome_type, genome_config, num_genomes) {
+    genome_config.innovation_tracker = this.innovation_tracker;
+    this.innovation_tracker.reset();
+
     const new_genomes = new Map();
     for (let i = 0; i < num_genomes; i++) {
       const key = this.genome_indexer++;
@@ -64,6 +69,17 @@ export class DefaultReproduction {
     return new_genomes;
   }
 
+  /**
+   * The value that ranks genomes for selection: which members of a species survive
+   * as elites and parents, which parent passes on its unmatched genes in crossover, and
+   * (through the species mean) how many offspring it gets.
+   * @param {Object} genome
+   * @returns {number} The genome's fitness.
+   */
+  selection_fitness(genome) {
+    return genome.fitness;
+  }
+
   /**
    * Computes the proper number of offspring per species (proportional to fitness).
    * @param {number[]} adjusted_fitnesses - An array of adjusted fitness values for each species.
@@ -126,6 +142,10 @@ export class DefaultReproduction {
    * @returns {Map<any, Object>} A map of the new generation of genomes.
    */
   reproduce(config, species, pop_size, generation) {
+    // Structural innovations are only shared within a generation.
+    config.genome_config.innovation_tracker = this.innovation_tracker;
+    this.innovation_tracker.reset();
+
     // --- 1. Filter out stagnant species and update fitness ---
     const all_fitnesses = [];
     const remaining_species = [];
@@ -140,8 +160,8 @@ export class DefaultReproduction {
       if (is_stagnant) {
         this.reporters.species_stagnant(sid, s);
       } else {
-        const member_fitnesses = Array.from(s.members.values()).map(
-          (m) => m.fitness,
+        const member_fitnesses = Array.from(s.members.values()).map((m) =>
+          this.selection_fitness(m),
         );
         all_fitnesses.push(...member_fitnesses);
         remaining_species.push(s);
@@ -156,8 +176,10 @@ export class DefaultReproduction {
 
     // --- 2. Compute adjusted fitness for remaining species ---
     // --- Fix: Calculate fitness stats from the *remaining* species only ---
+    const member_fitnesses = (s) =>
+      Array.from(s.members.values()).map((m) => this.selection_fitness(m));
     for (const s of remaining_species) {
-      all_fitnesses.push(...s.get_fitnesses());
+      all_fitnesses.push(...member_fitnesses(s));
     }
 
     const min_fitness = Math.min(...all_fitnesses);
@@ -165,7 +187,7 @@ export class DefaultReproduction {
     const fitness_range = Math.max(1.0, max_fitness - min_fitness);
 
     for (const s of remaining_species) {
-      const mean_fitness = mean(s.get_fitnesses());
+      const mean_fitness = mean(member_fitnesses(s));
       s.adjusted_fitness = (mean_fitness - min_fitness) / fitness_range;
     }
 
@@ -199,7 +221,7 @@ export class DefaultReproduction {
 
       // Sort members by fitness in descending order.
       const old_members = Array.from(s.members.entries()).sort(
-        (a, b) => b[1].fitness - a[1].fitness,
+        (a, b) => this.selection_fitness(b[1]) - this.selection_fitness(a[1]),
       );
 
       // Retain the species for the next generation.
@@ -239,7 +261,9 @@ export class DefaultReproduction {
 
         const gid = this.genome_indexer++;
         const child = new config.genome_type(gid);
-        child.configure_crossover(parent1, parent2, config.genome_config);
+        child.configure_crossover(parent1, parent2, config.genome_config, (g) =>
+          this.selection_fitness(g),
+        );
         child.mutate(config.genome_config);
 
         new_population.set(gid, child);
@@ -0,0 +1,171 @@
+/**
+ * Converts the main configuration to and from plain, structured-clonable data,
+ * so that an equivalent configuration can be rebuilt in another thread, a worker,
+ * or from a checkpoint.
+ */
+import { Config } from "./config.js";
+import { CTRNNGenome, DefaultGenome } from "./genome.js";
+import { IZGenome } from "./iznn.js";
+import { NSGA2Reproduction } from "./nsga2.js";
+import { DefaultReproduction } from "./reproduction.js";
+import { DefaultSpeciesSet } from "./species.js";
+import { DefaultStagnation } from "./stagnation.js";
+
+/**
+ * The genome and component types that can be found by name when a configuration is rebuilt.
+ */
+export const builtin_genome_types = { DefaultGenome, CTRNNGenome, IZGenome };
+export const builtin_component_types = {
+  DefaultReproduction,
+  NSGA2Reproduction,
+  DefaultSpeciesSet,
+  DefaultStagnation,
+};
+
+/**
+ * Looks up a class by name, preferring the user-supplied types over the built-in ones.
+ * @param {string} name - The class name.
+ * @param {Object} types - User-supplied classes, keyed by class name.
+ * @param {Object} builtins - Built-in classes, keyed by class name.
+ * @returns {Function}
+ */
+function find_type(name, types, builtins) {
+  const type = types[name] ?? builtins[name];
+  if (typeof type !== "function") {
+    throw new Error(`Unknown type '${name}'`);
+  }
+  return type;
+}
+
+/**
+ * Extracts the plain parts of the main configuration: the top-level NEAT parameters,
+ * the genome type's name and the genome parameters, and, when the configuration holds
+ * reproduction, species set and stagnation instances, their class names and parameters.
+ * @param {Object} config - The main NEAT configuration object.
+ * @returns {Object} A plain object accepted by `deserialize_config`.
+ */
+export function serialize_config(config) {
+  const main_params = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (["number", "string", "boolean"].includes(typeof value)) {
+      main_params[key] = value;
+    }
+  }
+  const data = {
+    main_params,
+    genome_type_name: config.genome_type.name,
+    genome_params: config.genome_config.toObject(),
+  };
+
+  if (config.reproduction && config.species_set && config.stagnation) {
+    data.reproduction_type_name = config.reproduction.constructor.name;
+    data.reproduction_params =
+      config.reproduction.reproduction_config.toObject();
+    data.species_set_type_name = config.species_set.constructor.name;
+    data.species_set_params = config.species_set.species_set_config.toObject();
+    data.stagnation_type_name = config.stagnation.constructor.name;
+    data.stagnation_params = config.stagnation.stagnation_config.toObject();
+  }
+  return data;
+}
+
+/**
+ * Rebuilds a configuration holding the NEAT parameters, `genome_type` and `genome_config`.
+ * When the serialized data includes the reproduction, species set and stagnation
+ * components, a full `Config` with freshly linked instances is built instead.
+ * User-added activation or aggregation functions are not part of the serialized data and
+ * must be registered again on the rebuilt `genome_config`.
+ * @param {Object} data - The output of `serialize_config`.
+ * @param {Object} [types={}] - Additional genome or component classes, keyed by class name.
+ * @returns {Object} The rebuilt configuration.
+ */
+export function deserialize_config(data, types = {}) {
+  const genome_type = find_type(
+    data.genome_type_name,
+    types,
+    builtin_genome_types,
+  );
+
+  if (data.reproduction_type_name === undefined) {
+    return {
+      ...data.main_params,
+      genome_type,
+      genome_config: genome_type.parseConfig({ ...data.genome_params }),
+    };
+  }
+
+  const reproduction_type = find_type(
+    data.reproduction_type_name,
+    types,
+    builtin_component_types,
+  );
+  const species_set_type = find_type(
+    data.species_set_type_name,
+    types,
+    builtin_component_types,
+  );
+  const stagnation_type = find_type(
+    data.stagnation_type_name,
+    types,
+    builtin_component_types,
+  );
+
+  // Only the NEAT parameters go through the Config section; any other plain values
+  // the original configuration held are copied over afterwards.
+  const neat_names = new Set(Config._params.map((p) => p.name));
+  const neat = {};
+  const extra = {};
+  for (const [key, value] of Object.entries(data.main_params)) {
+    if (neat_names.has(key)) {
+      neat[key] = value;
+    } else {
+      extra[key] = value;
+    }
+  }
+
+  const config = new Config(
+    genome_type,
+    reproduction_type,
+    species_set_type,
+    stagnation_type,
+    {
+      NEAT: neat,
+      [genome_type.name]: data.genome_params,
+      [reproduction_type.name]: data.reproduction_params,
+      [species_set_type.name]: data.species_set_params,
+      [stagnation_type.name]: data.stagnation_params,
+    },
+  );
+  return Object.assign(config, extra);
+}
+
+// Genome properties an evaluation function may set besides the fitness, which are
+// copied back from a worker: the behavior used by novelty search and the objectives
+// used by multi-objective reproduction.
+const evaluation_properties = ["behavior", "objectives"];
+
+/**
+ * Collects the results of evaluating a genome in a worker, as structured-clonable data.
+ * @param {Object} genome - The worker's copy of the genome, after evaluation.
+ * @param {number} fitness - The fitness returned by the evaluation function.
+ * @returns {Object} The fitness and any evaluation properties set on the genome.
+ */
+export function evaluation_result(genome, fitness) {
+  const result = { fitness };
+  for (const name of evaluation_properties) {
+    if (genome[name] !== undefined) result[name] = genome[name];
+  }
+  return result;
+}
+
+/**
+ * Assigns the results of a worker's evaluation to the main-thread genome.
+ * @param {Object} genome - The genome in the population.
+ * @param {Object} result - The output of `evaluation_result`.
+ */
+export function apply_evaluation_result(genome, result) {
+  genome.fitness = result.fitness;
+  for (const name of evaluation_properties) {
+    if (result[name] !== undefined) genome[name] = result[name];
+  }
+}
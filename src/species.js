@@ -2,7 +2,7 @@
  * Divides the population into species based on genomic distances.
  * This is a core component of the NEAT algorithm.
  */
-import { ConfigParameter } from "./config.js";
+import { DefaultClassConfig, ConfigParameter } from "./config.js";
 import { mean, stdev } from "./mathUtil.js";
 
 /**
@@ -97,26 +97,46 @@ export class DefaultSpeciesSet {
     this.indexer = 1; // Start species IDs from 1
     this.species = new Map();
     this.genome_to_species = new Map();
+
+    if (
+      config.compatibility_threshold_min > config.compatibility_threshold_max
+    ) {
+      throw new Error(
+        "compatibility_threshold_min must not be greater than compatibility_threshold_max",
+      );
+    }
+    if (config.compatibility_threshold_adjust < 0) {
+      throw new Error("compatibility_threshold_adjust must not be negative");
+    }
+    // The threshold in use; it changes over the run when target_num_species is set.
+    this.compatibility_threshold = config.compatibility_threshold;
   }
 
   /**
    * Defines the configuration parameters for this class.
+   * A `target_num_species` above 0 enables tuning the compatibility threshold after each
+   * speciation: it is lowered by `compatibility_threshold_adjust` when there are fewer
+   * species than the target and raised when there are more, within
+   * [`compatibility_threshold_min`, `compatibility_threshold_max`].
    * @returns {ConfigParameter[]}
    */
   static get_config_params() {
-    return [new ConfigParameter("compatibility_threshold", "number")];
+    return [
+      new ConfigParameter("compatibility_threshold", "number"),
+      new ConfigParameter("target_num_species", "number", 0),
+      new ConfigParameter("compatibility_threshold_adjust", "number", 0.1),
+      new ConfigParameter("compatibility_threshold_min", "number", 0.1),
+      new ConfigParameter("compatibility_threshold_max", "number", 100.0),
+    ];
   }
 
   /**
-   * This method is a hook for the main Config class to create an instance.
-   * In a full implementation, you might pass `reporters` in a different way.
-   * For now, we assume it's passed to the constructor.
+   * Hook for the main Config class.
+   * @param {Object} param_dict - The raw parameter object from the main config.
+   * @returns {Object} An instance of DefaultClassConfig with the species set parameters.
    */
   static parse_config(param_dict) {
-    // This class is special; it doesn't return a simple config object,
-    // but an instance of itself. The main loop must handle this.
-    // return param_dict;
-    return new DefaultSpeciesSet(param_dict, { info: () => {} }); // Pass a dummy reporter
+    return new DefaultClassConfig(param_dict, this.get_config_params());
   }
 
   /**
@@ -130,8 +150,7 @@ export class DefaultSpeciesSet {
       return;
     }
 
-    const compatibility_threshold =
-      this.species_set_config.compatibility_threshold;
+    const compatibility_threshold = this.compatibility_threshold;
     const distances = new GenomeDistanceCache(config.genome_config);
     const unspeciated = new Set(population.keys());
     const new_representatives = new Map();
@@ -227,6 +246,41 @@ export class DefaultSpeciesSet {
         `Mean genetic distance ${mean(gd_values).toFixed(3)}, standard deviation ${stdev(gd_values).toFixed(3)}`,
       );
     }
+
+    this.adjust_compatibility_threshold();
+  }
+
+  /**
+   * Moves the compatibility threshold one step towards producing `target_num_species`
+   * species, if a target is configured.
+   */
+  adjust_compatibility_threshold() {
+    const {
+      target_num_species,
+      compatibility_threshold_adjust,
+      compatibility_threshold_min,
+      compatibility_threshold_max,
+    } = this.species_set_config;
+    if (target_num_species <= 0) {
+      return;
+    }
+
+    const num_species = this.species.size;
+    const old_threshold = this.compatibility_threshold;
+    let threshold = old_threshold;
+    if (num_species < target_num_species) {
+      threshold -= compatibility_threshold_adjust;
+    } else if (num_species > target_num_species) {
+      threshold += compatibility_threshold_adjust;
+    }
+    this.compatibility_threshold = Math.min(
+      compatibility_threshold_max,
+      Math.max(compatibility_threshold_min, threshold),
+    );
+
+    this.reporters.info(
+      `Species: ${num_species} (target ${target_num_species}), compatibility threshold ${old_threshold.toFixed(3)} -> ${this.compatibility_threshold.toFixed(3)}`,
+    );
   }
 
   /**
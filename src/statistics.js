@@ -0,0 +1,262 @@
+/**
+ * Gathers (via the reporting interface) and provides (to callers and/or a file)
+ * the most-fit genomes and information on genome/species fitness and species sizes.
+ */
+import { write_file } from "./fileUtil.js";
+import { mean, median2, stdev } from "./mathUtil.js";
+import { BaseReporter } from "./reporting.js";
+
+/**
+ * Converts rows of values to CSV text.
+ * @param {Array<Array<*>>} rows
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function to_csv(rows, delimiter) {
+  return rows.map((row) => row.join(delimiter) + "\n").join("");
+}
+
+/**
+ * A reporter that records the most fit genome and the fitness of every species member
+ * in each generation, and provides statistics and CSV exports of that history.
+ */
+export class StatisticsReporter extends BaseReporter {
+  constructor() {
+    super();
+    this.most_fit_genomes = [];
+    // One Map per generation: species ID -> Map of genome ID -> fitness.
+    this.generation_statistics = [];
+    // The non-dominated front of each generation, when using multi-objective reproduction.
+    this.pareto_fronts = [];
+  }
+
+  post_evaluate(config, population, species, best_genome) {
+    // Store a deep copy, since the genome may be mutated in later generations.
+    this.most_fit_genomes.push(
+      config.genome_type.from_object(
+        structuredClone(best_genome),
+        config.genome_config,
+      ),
+    );
+
+    // Store the fitnesses of the members of each currently active species.
+    const species_stats = new Map();
+    for (const [sid, s] of species.species.entries()) {
+      const member_fitnesses = new Map();
+      for (const [gid, g] of s.members.entries()) {
+        member_fitnesses.set(gid, g.fitness);
+      }
+      species_stats.set(sid, member_fitnesses);
+    }
+    this.generation_statistics.push(species_stats);
+  }
+
+  pareto_front(config, generation, front) {
+    this.pareto_fronts.push(
+      front.map((g) => ({ key: g.key, objectives: [...g.objectives] })),
+    );
+  }
+
+  /**
+   * @returns {Array<{key: number, objectives: number[]}>} The keys and objective values
+   * of the most recent Pareto front (empty if none was reported).
+   */
+  current_pareto_front() {
+    return this.pareto_fronts[this.pareto_fronts.length - 1] ?? [];
+  }
+
+  /**
+   * Applies a statistic to the fitnesses of all species members, for each generation.
+   * @param {function(number[]): number} f - The statistic function.
+   * @returns {number[]} One value per generation.
+   */
+  get_fitness_stat(f) {
+    return this.generation_statistics.map((stats) => {
+      const scores = [];
+      for (const member_fitnesses of stats.values()) {
+        scores.push(...member_fitnesses.values());
+      }
+      return f(scores);
+    });
+  }
+
+  /**
+   * @returns {number[]} The per-generation mean fitness.
+   */
+  get_fitness_mean() {
+    return this.get_fitness_stat(mean);
+  }
+
+  /**
+   * @returns {number[]} The per-generation standard deviation of the fitness.
+   */
+  get_fitness_stdev() {
+    return this.get_fitness_stat(stdev);
+  }
+
+  /**
+   * @returns {number[]} The per-generation median fitness.
+   */
+  get_fitness_median() {
+    return this.get_fitness_stat(median2);
+  }
+
+  /**
+   * @param {number} n - The maximum number of genomes to return.
+   * @returns {Object[]} The most n fit genomes, with no duplication.
+   */
+  best_unique_genomes(n) {
+    const best_unique = new Map();
+    for (const g of this.most_fit_genomes) {
+      best_unique.set(g.key, g);
+    }
+    return Array.from(best_unique.values())
+      .sort((a, b) => b.fitness - a.fitness)
+      .slice(0, n);
+  }
+
+  /**
+   * @param {number} n - The maximum number of genomes to return.
+   * @returns {Object[]} The most n fit genomes ever seen.
+   */
+  best_genomes(n) {
+    return [...this.most_fit_genomes]
+      .sort((a, b) => b.fitness - a.fitness)
+      .slice(0, n);
+  }
+
+  /**
+   * @returns {Object} The most fit genome ever seen.
+   */
+  best_genome() {
+    return this.best_genomes(1)[0];
+  }
+
+  /**
+   * @returns {number} The highest species ID seen in any generation (0 if none).
+   */
+  _max_species_id() {
+    let max_species = 0;
+    for (const gen_data of this.generation_statistics) {
+      for (const sid of gen_data.keys()) {
+        max_species = Math.max(max_species, sid);
+      }
+    }
+    return max_species;
+  }
+
+  /**
+   * @returns {number[][]} For each generation, the size of every species
+   * (IDs 1 to the highest ID seen), with 0 for species not alive in that generation.
+   */
+  get_species_sizes() {
+    const max_species = this._max_species_id();
+    return this.generation_statistics.map((gen_data) => {
+      const sizes = [];
+      for (let sid = 1; sid <= max_species; sid++) {
+        sizes.push(gen_data.has(sid) ? gen_data.get(sid).size : 0);
+      }
+      return sizes;
+    });
+  }
+
+  /**
+   * @param {*} [null_value=""] - The value used for species not alive in a generation.
+   * @returns {Array<Array<number|*>>} For each generation, the mean member fitness of every
+   * species (IDs 1 to the highest ID seen).
+   */
+  get_species_fitness(null_value = "") {
+    const max_species = this._max_species_id();
+    return this.generation_statistics.map((gen_data) => {
+      const fitness = [];
+      for (let sid = 1; sid <= max_species; sid++) {
+        const member_fitnesses = gen_data.get(sid);
+        fitness.push(
+          member_fitnesses && member_fitnesses.size > 0
+            ? mean(member_fitnesses.values())
+            : null_value,
+        );
+      }
+      return fitness;
+    });
+  }
+
+  /**
+   * @param {string} [delimiter=" "]
+   * @returns {string} CSV text with the best and mean fitness of each generation.
+   */
+  genome_fitness_csv(delimiter = " ") {
+    const best_fitness = this.most_fit_genomes.map((g) => g.fitness);
+    const avg_fitness = this.get_fitness_mean();
+    return to_csv(
+      best_fitness.map((best, i) => [best, avg_fitness[i]]),
+      delimiter,
+    );
+  }
+
+  /**
+   * @param {string} [delimiter=" "]
+   * @returns {string} CSV text with the size of every species in each generation.
+   */
+  species_count_csv(delimiter = " ") {
+    return to_csv(this.get_species_sizes(), delimiter);
+  }
+
+  /**
+   * @param {string} [delimiter=" "]
+   * @param {string} [null_value="NA"] - The value written for species not alive in a generation.
+   * @returns {string} CSV text with the mean fitness of every species in each generation.
+   */
+  species_fitness_csv(delimiter = " ", null_value = "NA") {
+    return to_csv(this.get_species_fitness(null_value), delimiter);
+  }
+
+  /**
+   * Saves the fitness and speciation histories with their default file names.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    await this.save_genome_fitness();
+    await this.save_species_count();
+    await this.save_species_fitness();
+  }
+
+  /**
+   * Saves the best and mean fitness of each generation.
+   * @param {string} [delimiter=" "]
+   * @param {string} [filename="fitness_history.csv"]
+   * @returns {Promise<void>}
+   */
+  save_genome_fitness(delimiter = " ", filename = "fitness_history.csv") {
+    return write_file(filename, this.genome_fitness_csv(delimiter), "text/csv");
+  }
+
+  /**
+   * Saves the size of every species in each generation.
+   * @param {string} [delimiter=" "]
+   * @param {string} [filename="speciation.csv"]
+   * @returns {Promise<void>}
+   */
+  save_species_count(delimiter = " ", filename = "speciation.csv") {
+    return write_file(filename, this.species_count_csv(delimiter), "text/csv");
+  }
+
+  /**
+   * Saves the mean fitness of every species in each generation.
+   * @param {string} [delimiter=" "]
+   * @param {string} [null_value="NA"]
+   * @param {string} [filename="species_fitness.csv"]
+   * @returns {Promise<void>}
+   */
+  save_species_fitness(
+    delimiter = " ",
+    null_value = "NA",
+    filename = "species_fitness.csv",
+  ) {
+    return write_file(
+      filename,
+      this.species_fitness_csv(delimiter, null_value),
+      "text/csv",
+    );
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Renders genomes as network diagrams: Graphviz DOT source, or a standalone SVG
+ * document that needs no external tools.
+ */
+import { requiredForOutput } from "./graphs.js";
+
+/**
+ * Collects the nodes and connections to draw for a genome.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {Object} genome - The genome to draw.
+ * @param {boolean} show_disabled - Whether disabled connections are drawn.
+ * @param {boolean} prune_unused - Whether nodes not required for the outputs are left out.
+ * @returns {{inputs: number[], outputs: number[], hidden: number[], connections: Object[]}}
+ */
+function collect_graph(config, genome, show_disabled, prune_unused) {
+  const inputs = config.genome_config.input_keys;
+  const outputs = config.genome_config.output_keys;
+  const output_set = new Set(outputs);
+
+  let hidden = Object.keys(genome.nodes)
+    .map(Number)
+    .filter((k) => !output_set.has(k));
+  let connections = Object.values(genome.connections).filter(
+    (cg) => cg.enabled || show_disabled,
+  );
+
+  if (prune_unused) {
+    const required = requiredForOutput(
+      inputs,
+      outputs,
+      Object.values(genome.connections)
+        .filter((cg) => cg.enabled)
+        .map((cg) => cg.key),
+    );
+    const kept = new Set([...inputs, ...required]);
+    hidden = hidden.filter((k) => required.has(k));
+    connections = connections.filter(
+      (cg) => kept.has(cg.key[0]) && kept.has(cg.key[1]),
+    );
+  }
+
+  return { inputs, outputs, hidden, connections };
+}
+
+/**
+ * @param {Object} cg - A connection gene.
+ * @returns {number} The drawn width of the connection, scaled by its weight.
+ */
+function edge_width(cg) {
+  return 0.1 + Math.abs(cg.weight / 5.0);
+}
+
+/**
+ * @param {Object} cg - A connection gene.
+ * @returns {string} Green for positive weights, red otherwise.
+ */
+function edge_color(cg) {
+  return cg.weight > 0 ? "green" : "red";
+}
+
+/**
+ * Escapes a label for use inside a double-quoted DOT string.
+ * @param {*} s
+ * @returns {string}
+ */
+function dot_escape(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+/**
+ * Renders a genome as Graphviz DOT source.
+ * Inputs are drawn as boxes, outputs and hidden nodes as circles; disabled
+ * connections are dashed and edge width scales with the connection weight.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {Object} genome - The genome to draw.
+ * @param {Object} [options={}]
+ * @param {Object} [options.node_names={}] - Display names keyed by node key (e.g. `{-1: "x", 0: "y"}`).
+ * @param {Object} [options.node_colors={}] - Fill colors keyed by node key.
+ * @param {boolean} [options.show_disabled=true] - Whether disabled connections are drawn.
+ * @param {boolean} [options.prune_unused=false] - Whether nodes not in `requiredForOutput` are left out.
+ * @returns {string} The DOT source.
+ */
+export function genome_to_dot(config, genome, options = {}) {
+  const {
+    node_names = {},
+    node_colors = {},
+    show_disabled = true,
+    prune_unused = false,
+  } = options;
+  const { inputs, outputs, hidden, connections } = collect_graph(
+    config,
+    genome,
+    show_disabled,
+    prune_unused,
+  );
+
+  const name = (k) => dot_escape(node_names[k] ?? k);
+  const color = (k, fallback) => dot_escape(node_colors[k] ?? fallback);
+  const lines = [
+    "digraph {",
+    '  node [shape="circle", fontsize="9", height="0.2", width="0.2"];',
+  ];
+
+  for (const k of inputs) {
+    lines.push(
+      `  "${name(k)}" [style="filled", shape="box", fillcolor="${color(k, "lightgray")}"];`,
+    );
+  }
+  for (const k of outputs) {
+    lines.push(
+      `  "${name(k)}" [style="filled", fillcolor="${color(k, "lightblue")}"];`,
+    );
+  }
+  for (const k of hidden) {
+    lines.push(
+      `  "${name(k)}" [style="filled", fillcolor="${color(k, "white")}"];`,
+    );
+  }
+
+  for (const cg of connections) {
+    const [i, o] = cg.key;
+    const style = cg.enabled ? "solid" : "dashed";
+    lines.push(
+      `  "${name(i)}" -> "${name(o)}" [style="${style}", color="${edge_color(cg)}", penwidth="${edge_width(cg).toFixed(3)}"];`,
+    );
+  }
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Escapes text for use in SVG markup.
+ * @param {*} s
+ * @returns {string}
+ */
+function xml_escape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Computes the positions of a genome's nodes for drawing.
+ * Nodes are laid out in columns from left to right: inputs, hidden nodes by their
+ * distance (in connections) from the inputs, then outputs.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {Object} genome - The genome to lay out.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.show_disabled=true] - Whether disabled connections are included.
+ * @param {boolean} [options.prune_unused=false] - Whether nodes not in `requiredForOutput` are left out.
+ * @param {number} [options.width=600] - The width of the drawing area.
+ * @param {number} [options.height=400] - The height of the drawing area.
+ * @param {number} [options.margin=30] - The space kept free around the nodes.
+ * @returns {{nodes: Array<{key: number, type: string, x: number, y: number}>, connections: Object[]}}
+ * The nodes (`type` is "input", "output" or "hidden") and the connection genes to draw.
+ */
+export function layout_genome(config, genome, options = {}) {
+  const {
+    show_disabled = true,
+    prune_unused = false,
+    width = 600,
+    height = 400,
+    margin = 30,
+  } = options;
+  const { inputs, outputs, hidden, connections } = collect_graph(
+    config,
+    genome,
+    show_disabled,
+    prune_unused,
+  );
+
+  // Column of each hidden node: its shortest distance from any input.
+  const depth = new Map(inputs.map((k) => [k, 0]));
+  let frontier = [...inputs];
+  while (frontier.length > 0) {
+    const next = [];
+    for (const cg of connections) {
+      const [i, o] = cg.key;
+      if (frontier.includes(i) && !depth.has(o)) {
+        depth.set(o, depth.get(i) + 1);
+        next.push(o);
+      }
+    }
+    frontier = next;
+  }
+  const columns = [inputs];
+  for (const k of hidden) {
+    const col = depth.get(k) ?? 1;
+    while (columns.length <= col) columns.push([]);
+    columns[col].push(k);
+  }
+  columns.push(outputs);
+  const layout = columns.filter((col, i) => i === 0 || col.length > 0);
+
+  const output_set = new Set(outputs);
+  const nodes = [];
+  layout.forEach((col, ci) => {
+    const x =
+      layout.length === 1
+        ? width / 2
+        : margin + (ci * (width - 2 * margin)) / (layout.length - 1);
+    col.forEach((k, ri) => {
+      const y = margin + ((ri + 1) * (height - 2 * margin)) / (col.length + 1);
+      const type = ci === 0 ? "input" : output_set.has(k) ? "output" : "hidden";
+      nodes.push({ key: k, type, x, y });
+    });
+  });
+
+  return { nodes, connections };
+}
+
+/**
+ * Renders a genome as a standalone SVG document, laid out by `layout_genome`.
+ * Styling follows `genome_to_dot`.
+ * @param {Object} config - The main NEAT configuration object.
+ * @param {Object} genome - The genome to draw.
+ * @param {Object} [options={}] - The options of `genome_to_dot`, plus:
+ * @param {number} [options.width=600] - The width of the image in pixels.
+ * @param {number} [options.height=400] - The height of the image in pixels.
+ * @returns {string} The SVG document.
+ */
+export function genome_to_svg(config, genome, options = {}) {
+  const {
+    node_names = {},
+    node_colors = {},
+    width = 600,
+    height = 400,
+  } = options;
+  const { nodes, connections } = layout_genome(config, genome, options);
+  const position = new Map(nodes.map((n) => [n.key, [n.x, n.y]]));
+  const radius = 10;
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    "  <defs>",
+    '    <marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">',
+    '      <path d="M 0 0 L 10 5 L 0 10 z" fill="context-stroke"/>',
+    "    </marker>",
+    "  </defs>",
+    '  <rect width="100%" height="100%" fill="white"/>',
+  ];
+
+  for (const cg of connections) {
+    const [i, o] = cg.key;
+    if (!position.has(i) || !position.has(o)) continue;
+    const [x1, y1] = position.get(i);
+    const [x2, y2] = position.get(o);
+    const dash = cg.enabled ? "" : ' stroke-dasharray="4 3"';
+    const stroke = `stroke="${edge_color(cg)}" stroke-width="${edge_width(cg).toFixed(3)}"${dash} fill="none" marker-end="url(#arrow)"`;
+
+    if (i === o) {
+      // Self-loop: a small arc above the node.
+      parts.push(
+        `  <path d="M ${x1 - radius / 2} ${y1 - radius} C ${x1 - 2 * radius} ${y1 - 3 * radius}, ${x1 + 2 * radius} ${y1 - 3 * radius}, ${x1 + radius / 2} ${y1 - radius}" ${stroke}/>`,
+      );
+      continue;
+    }
+    // Shorten the line so it ends at the node boundary.
+    const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+    const dx = ((x2 - x1) / len) * radius;
+    const dy = ((y2 - y1) / len) * radius;
+    parts.push(
+      `  <line x1="${(x1 + dx).toFixed(1)}" y1="${(y1 + dy).toFixed(1)}" x2="${(x2 - dx).toFixed(1)}" y2="${(y2 - dy).toFixed(1)}" ${stroke}/>`,
+    );
+  }
+
+  const default_colors = {
+    input: "lightgray",
+    output: "lightblue",
+    hidden: "white",
+  };
+  for (const { key: k, type, x, y } of nodes) {
+    const fill = xml_escape(node_colors[k] ?? default_colors[type]);
+    if (type === "input") {
+      parts.push(
+        `  <rect x="${x - radius}" y="${y - radius}" width="${2 * radius}" height="${2 * radius}" fill="${fill}" stroke="black"/>`,
+      );
+    } else {
+      parts.push(
+        `  <circle cx="${x}" cy="${y}" r="${radius}" fill="${fill}" stroke="black"/>`,
+      );
+    }
+    parts.push(
+      `  <text x="${x}" y="${y + 3}" font-size="9" font-family="sans-serif" text-anchor="middle">${xml_escape(node_names[k] ?? k)}</text>`,
+    );
+  }
+
+  parts.push("</svg>");
+  return parts.join("\n") + "\n";
+}
@@ -0,0 +1,143 @@
+/**
+ * Runs evaluation functions in parallel in the browser using Web Workers.
+ * This is the browser counterpart of the Node-only `ParallelEvaluator`.
+ */
+import { apply_evaluation_result, serialize_config } from "./serialization.js";
+
+/**
+ * Evaluates the genomes of a population on a pool of module Web Workers.
+ *
+ * The evaluation module must export an `eval_genome(genome, config)` function (as a named
+ * or default export) that returns the genome's fitness, or a Promise of it. For novelty search
+ * or multi-objective reproduction, it also sets the genome's `behavior` or `objectives`, which
+ * are copied back to the population's genome.
+ * Inside the worker, `config` holds the main NEAT parameters plus `genome_type` and a
+ * `genome_config` rebuilt with `genome_type.parseConfig`. A custom genome type must be
+ * exported from the evaluation module under its class name.
+ */
+export class WebWorkerEvaluator {
+  /**
+   * @param {number|null} num_workers - The number of workers to use; null uses `navigator.hardwareConcurrency`.
+   * @param {string|URL} eval_module - URL of the module exporting `eval_genome`, resolved against the page.
+   */
+  constructor(num_workers, eval_module) {
+    num_workers = num_workers ?? navigator.hardwareConcurrency ?? 4;
+    if (!Number.isInteger(num_workers) || num_workers < 1) {
+      throw new Error(
+        `num_workers must be a positive integer, got ${num_workers}`,
+      );
+    }
+    this.num_workers = num_workers;
+    this.eval_module = new URL(eval_module, document.baseURI).href;
+
+    this.workers = [];
+    this.pool_config = null;
+
+    // Allow the method to be passed directly to `Population.run`.
+    this.evaluate = this.evaluate.bind(this);
+  }
+
+  /**
+   * Starts a fresh pool of workers for the given configuration.
+   * @param {Object} config - The main NEAT configuration object.
+   */
+  _start_pool(config) {
+    this.close();
+    const init = {
+      eval_module: this.eval_module,
+      ...serialize_config(config),
+    };
+    for (let i = 0; i < this.num_workers; i++) {
+      const worker = new Worker(
+        new URL("./webParallelWorker.js", import.meta.url),
+        { type: "module" },
+      );
+      worker.postMessage({ init });
+      this.workers.push(worker);
+    }
+    this.pool_config = config;
+  }
+
+  /**
+   * Sends one genome to a worker and waits for the results of its evaluation.
+   * @param {Worker} worker
+   * @param {Object} genome
+   * @returns {Promise<Object>} The fitness and other evaluation results (see `evaluation_result`).
+   */
+  _evaluate_on(worker, genome) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        worker.removeEventListener("message", on_message);
+        worker.removeEventListener("error", on_error);
+      };
+      const on_message = (event) => {
+        cleanup();
+        if (event.data.error !== undefined) {
+          reject(
+            new Error(
+              `Evaluation of genome ${genome.key} failed: ${event.data.error}`,
+            ),
+          );
+        } else {
+          resolve(event.data.result);
+        }
+      };
+      const on_error = (event) => {
+        cleanup();
+        reject(new Error(`Worker error: ${event.message}`));
+      };
+
+      worker.addEventListener("message", on_message);
+      worker.addEventListener("error", on_error);
+      worker.postMessage({ genome });
+    });
+  }
+
+  /**
+   * Evaluates every genome in the population, assigning each one's `fitness`, as well as
+   * the `behavior` or `objectives` the evaluation function set on the worker's copy.
+   * Has the signature expected by `Population.run`.
+   * @param {Map<any, Object>} genomes - The population as a Map of {genomeId: genome}.
+   * @param {Object} config - The main NEAT configuration object.
+   * @param {function(number): void} [report_progress] - Optional progress callback.
+   * @returns {Promise<void>}
+   */
+  async evaluate(genomes, config, report_progress = () => {}) {
+    if (this.pool_config !== config || this.workers.length === 0) {
+      this._start_pool(config);
+    }
+
+    const queue = Array.from(genomes.values());
+    let num_evaluated = 0;
+
+    const drain = async (worker) => {
+      while (queue.length > 0) {
+        const genome = queue.shift();
+        apply_evaluation_result(
+          genome,
+          await this._evaluate_on(worker, genome),
+        );
+        report_progress(++num_evaluated);
+      }
+    };
+
+    try {
+      await Promise.all(this.workers.map(drain));
+    } catch (e) {
+      // A failed worker may still be busy; start over next time.
+      this.close();
+      throw e;
+    }
+  }
+
+  /**
+   * Terminates all workers.
+   */
+  close() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+    this.pool_config = null;
+  }
+}
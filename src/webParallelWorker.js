@@ -0,0 +1,41 @@
+/**
+ * Web Worker entry point for `WebWorkerEvaluator`.
+ * The first message rebuilds the configuration; every later one carries a genome to evaluate.
+ */
+import { deserialize_config, evaluation_result } from "./serialization.js";
+
+let ready = null;
+
+async function init(data) {
+  const eval_module = await import(data.eval_module);
+  const eval_genome = eval_module.eval_genome ?? eval_module.default;
+  if (typeof eval_genome !== "function") {
+    throw new Error(
+      `Module ${data.eval_module} must export an 'eval_genome' function.`,
+    );
+  }
+  // A custom genome type is looked up among the evaluation module's exports.
+  const config = deserialize_config(data, eval_module);
+  return { eval_genome, config };
+}
+
+self.addEventListener("message", async (event) => {
+  if (event.data.init) {
+    ready = init(event.data.init);
+    // Initialization errors are reported with the first genome.
+    ready.catch(() => {});
+    return;
+  }
+
+  try {
+    const { eval_genome, config } = await ready;
+    const g = config.genome_type.from_object(
+      event.data.genome,
+      config.genome_config,
+    );
+    const fitness = await eval_genome(g, config);
+    self.postMessage({ result: evaluation_result(g, fitness) });
+  } catch (e) {
+    self.postMessage({ error: e && e.message ? e.message : String(e) });
+  }
+});